@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const {
+  createApiKey,
+  getApiKey,
+  findApiKeyByHash,
+  listApiKeys,
+  rotateApiKeySecret,
+  markApiKeyRevoked,
+  touchApiKey
+} = require('./db');
+
+// API keys let scripts and batch jobs call the API from servers. Admins
+// issue each key to a service account or a team, with scopes limiting what
+// it may do:
+//   generate      - generate, upscale and convert images, upload files and
+//                   follow or cancel the predictions started
+//   gallery:read  - browse the gallery, collections and trash
+//   gallery:write - save, edit, share and delete gallery entries and collections
+//   usage:read    - read usage, quotas and API logs
+// Calls made with a key act as "service:<name>" or "team:<name>" with the
+// creator role, and are logged under that ID with the key's ID.
+//
+// Keys are sent as `X-API-Key: <key>` or `Authorization: Bearer <key>`. Only
+// a SHA-256 hash of each key is stored, so a key is shown once, when it is
+// issued or rotated.
+const SCOPES = ['generate', 'gallery:read', 'gallery:write', 'usage:read'];
+const OWNER_TYPES = ['service', 'team'];
+
+// Every key starts with this, which tells keys apart from JWTs
+const KEY_PREFIX = 'vsk_';
+// Characters of a key kept in the clear, to recognize it in listings
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+const NAME_MAX_LENGTH = 255;
+const OWNER_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+const MAX_EXPIRES_IN_DAYS = 3650;
+
+function authError(code, message) {
+  return { error: { code, message } };
+}
+
+// ID that calls made with a key of the owner are attributed to
+function principalId(ownerType, ownerId) {
+  return `${ownerType}:${ownerId}`;
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateSecret() {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { key, keyPrefix: key.slice(0, DISPLAY_PREFIX_LENGTH), keyHash: hashApiKey(key) };
+}
+
+// The API key a request carries, if any
+function apiKeyFromRequest(req) {
+  const header = req.headers['x-api-key'];
+  if (typeof header === 'string' && header) {
+    return header.trim();
+  }
+  const bearer = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (bearer && bearer[1].startsWith(KEY_PREFIX)) {
+    return bearer[1];
+  }
+  return null;
+}
+
+// The user a key acts as. Returns { user, method } for an active key, or
+// { error: { code, message } }.
+async function authenticateApiKey(key) {
+  const apiKey = key.startsWith(KEY_PREFIX) ? await findApiKeyByHash(hashApiKey(key)) : null;
+  if (!apiKey) {
+    return authError('INVALID_API_KEY', 'The API key is not valid');
+  }
+  if (apiKey.revokedAt) {
+    return authError('API_KEY_REVOKED', 'The API key has been revoked');
+  }
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+    return authError('API_KEY_EXPIRED', 'The API key has expired');
+  }
+
+  touchApiKey(apiKey.id).catch(error => {
+    console.error(`Failed to record use of API key ${apiKey.id}:`, error.message);
+  });
+
+  return {
+    user: {
+      id: principalId(apiKey.ownerType, apiKey.ownerId),
+      name: apiKey.name,
+      email: null,
+      role: 'creator',
+      team: apiKey.ownerType === 'team' ? apiKey.ownerId : null,
+      apiKeyId: apiKey.id,
+      scopes: apiKey.scopes
+    },
+    method: 'api_key'
+  };
+}
+
+// Validate the body of a request to issue a key. Returns the key's fields
+// and any field errors.
+function validateApiKeyFields(body) {
+  const fields = {};
+  const errors = [];
+
+  const name = typeof body.name === 'string' ? body.name.trim() : body.name;
+  if (!name) {
+    errors.push({ field: 'name', code: 'required', message: 'name is required' });
+  } else if (typeof name !== 'string') {
+    errors.push({ field: 'name', code: 'invalid_type', message: 'name must be a string' });
+  } else if (name.length > NAME_MAX_LENGTH) {
+    errors.push({ field: 'name', code: 'too_long', message: `name must be at most ${NAME_MAX_LENGTH} characters` });
+  } else {
+    fields.name = name;
+  }
+
+  const owners = OWNER_TYPES.filter(type => body[type] !== undefined && body[type] !== null);
+  if (owners.length !== 1) {
+    errors.push({ field: 'service', code: 'required', message: 'Give exactly one of service (a service account name) or team' });
+  } else if (typeof body[owners[0]] !== 'string' || !OWNER_ID_PATTERN.test(body[owners[0]])) {
+    errors.push({ field: owners[0], code: 'invalid_format', message: `${owners[0]} must be 1 to 100 letters, digits, dots, dashes or underscores` });
+  } else {
+    fields.ownerType = owners[0];
+    fields.ownerId = body[owners[0]];
+  }
+
+  if (!Array.isArray(body.scopes) || !body.scopes.length) {
+    errors.push({ field: 'scopes', code: 'required', message: `scopes must be a non-empty list of: ${SCOPES.join(', ')}` });
+  } else if (body.scopes.some(scope => !SCOPES.includes(scope))) {
+    errors.push({ field: 'scopes', code: 'invalid_scope', message: `scopes must be a non-empty list of: ${SCOPES.join(', ')}` });
+  } else {
+    fields.scopes = [...new Set(body.scopes)];
+  }
+
+  if (body.expiresInDays !== undefined && body.expiresInDays !== null) {
+    if (!Number.isInteger(body.expiresInDays) || body.expiresInDays < 1 || body.expiresInDays > MAX_EXPIRES_IN_DAYS) {
+      errors.push({ field: 'expiresInDays', code: 'out_of_range', message: `expiresInDays must be a whole number from 1 to ${MAX_EXPIRES_IN_DAYS}` });
+    } else {
+      fields.expiresAt = new Date(Date.now() + body.expiresInDays * 24 * 60 * 60 * 1000);
+    }
+  }
+
+  return { fields, errors };
+}
+
+// Issue a key with fields from validateApiKeyFields. Returns the stored key
+// and the key itself, which can't be recovered later.
+async function issueApiKey(fields, userInfo) {
+  const { key, keyPrefix, keyHash } = generateSecret();
+  const apiKey = await createApiKey({
+    id: crypto.randomUUID(),
+    ...fields,
+    keyPrefix,
+    keyHash,
+    createdBy: userInfo.id
+  });
+  console.log(`API key ${apiKey.id} (${apiKey.name}) issued to ${principalId(apiKey.ownerType, apiKey.ownerId)} by ${userInfo.id}`);
+  return { apiKey, key };
+}
+
+// Give an active key a new secret. The old one stops working straight away.
+// Returns null when there is no active key with this ID.
+async function rotateApiKey(id, userInfo) {
+  const { key, keyPrefix, keyHash } = generateSecret();
+  if (!await rotateApiKeySecret(id, keyPrefix, keyHash)) {
+    return null;
+  }
+  console.log(`API key ${id} rotated by ${userInfo.id}`);
+  return { apiKey: await getApiKey(id), key };
+}
+
+// Returns the revoked key, or null when there is no active key with this ID
+async function revokeApiKey(id, userInfo) {
+  if (!await markApiKeyRevoked(id, userInfo.id)) {
+    return null;
+  }
+  console.log(`API key ${id} revoked by ${userInfo.id}`);
+  return getApiKey(id);
+}
+
+module.exports = {
+  SCOPES,
+  principalId,
+  apiKeyFromRequest,
+  authenticateApiKey,
+  validateApiKeyFields,
+  listApiKeys,
+  getApiKey,
+  issueApiKey,
+  rotateApiKey,
+  revokeApiKey
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Identifies the user behind an API request. Two kinds of credentials are
+// accepted:
+//
+// - Authorization: Bearer <JWT>, signed with HS256 and AUTH_JWT_SECRET (the
+//   Frontify integration issues these). `sub` is the user ID, `name`,
+//   `email` and `role` are optional, and `exp` is required. `iss` and `aud` are checked
+//   against AUTH_JWT_ISSUER and AUTH_JWT_AUDIENCE when those are set.
+//
+// - x-user-id, x-user-name and x-user-email signed with AUTH_HMAC_SECRET.
+//   x-auth-expires is the expiry time (unix seconds) and x-auth-signature the
+//   hex HMAC-SHA256 of "<id>\n<name>\n<email>\n<expires>". Signatures may be
+//   valid for at most AUTH_HMAC_MAX_AGE_SECONDS (default 300), so a captured
+//   set of headers can't be replayed for long.
+//
+// AUTH_DISABLED=true trusts plain x-user-* headers (including x-user-role),
+// like the app used to.
+// Only use it for local development.
+
+// Allowed clock difference between us and the token issuer, in seconds
+const CLOCK_TOLERANCE = 30;
+
+function authError(code, message) {
+  return { error: { code, message } };
+}
+
+function createAuthenticator({
+  jwtSecret = process.env.AUTH_JWT_SECRET,
+  jwtIssuer = process.env.AUTH_JWT_ISSUER,
+  jwtAudience = process.env.AUTH_JWT_AUDIENCE,
+  hmacSecret = process.env.AUTH_HMAC_SECRET,
+  hmacMaxAge = Number(process.env.AUTH_HMAC_MAX_AGE_SECONDS) || 300,
+  disabled = process.env.AUTH_DISABLED === 'true'
+} = {}) {
+  if (disabled) {
+    console.warn('AUTH_DISABLED is set: x-user-* headers are trusted without verification. Never use this in production.');
+  } else if (!jwtSecret && !hmacSecret) {
+    console.error('Neither AUTH_JWT_SECRET nor AUTH_HMAC_SECRET is set, so every authenticated request will be rejected');
+  }
+
+  function fromJwt(token) {
+    if (!jwtSecret) {
+      return authError('INVALID_TOKEN', 'Bearer tokens are not accepted by this server');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, jwtSecret, {
+        algorithms: ['HS256'],
+        clockTolerance: CLOCK_TOLERANCE,
+        ...(jwtIssuer && { issuer: jwtIssuer }),
+        ...(jwtAudience && { audience: jwtAudience })
+      });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return authError('TOKEN_EXPIRED', 'The access token has expired');
+      }
+      return authError('INVALID_TOKEN', `Invalid access token: ${error.message}`);
+    }
+
+    if (!claims.sub || !claims.exp) {
+      return authError('INVALID_TOKEN', 'The access token must have sub and exp claims');
+    }
+    return {
+      user: {
+        id: String(claims.sub),
+        name: claims.name || String(claims.sub),
+        email: claims.email || null,
+        role: typeof claims.role === 'string' ? claims.role : null
+      },
+      method: 'jwt'
+    };
+  }
+
+  function headerSignature(id, name, email, expires) {
+    return crypto
+      .createHmac('sha256', hmacSecret)
+      .update(`${id}\n${name}\n${email}\n${expires}`)
+      .digest('hex');
+  }
+
+  function fromSignedHeaders(headers) {
+    const id = headers['x-user-id'];
+    const name = headers['x-user-name'] || '';
+    const email = headers['x-user-email'] || '';
+    const expires = headers['x-auth-expires'];
+    const signature = headers['x-auth-signature'];
+
+    if (!hmacSecret) {
+      return authError('INVALID_SIGNATURE', 'Signed headers are not accepted by this server');
+    }
+    if (!id || !expires || !/^\d+$/.test(expires)) {
+      return authError('INVALID_SIGNATURE', 'x-user-id, x-auth-expires and x-auth-signature are required');
+    }
+
+    const expected = Buffer.from(headerSignature(id, name, email, expires));
+    const given = Buffer.from(String(signature));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return authError('INVALID_SIGNATURE', 'The x-auth-signature header is not valid');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (Number(expires) < now - CLOCK_TOLERANCE) {
+      return authError('TOKEN_EXPIRED', 'The signed headers have expired');
+    }
+    if (Number(expires) > now + hmacMaxAge + CLOCK_TOLERANCE) {
+      return authError('INVALID_SIGNATURE', `Signed headers may be valid for at most ${hmacMaxAge} seconds`);
+    }
+
+    return { user: { id, name: name || id, email: email || null }, method: 'hmac' };
+  }
+
+  // The user a request comes from. Returns { user, method } when the
+  // request carries valid credentials, { error: { code, message } } when
+  // they are invalid, or {} when there are none. `allowQueryToken` also
+  // accepts a JWT in ?access_token=, for clients that can't set headers.
+  function authenticate(req, { allowQueryToken = false } = {}) {
+    const authorization = req.headers.authorization || '';
+    const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+    if (bearer) {
+      return fromJwt(bearer[1]);
+    }
+    if (allowQueryToken && typeof req.query.access_token === 'string') {
+      return fromJwt(req.query.access_token);
+    }
+    if (req.headers['x-auth-signature']) {
+      return fromSignedHeaders(req.headers);
+    }
+
+    if (disabled) {
+      return {
+        user: {
+          id: req.headers['x-user-id'] || 'anonymous',
+          name: req.headers['x-user-name'] || 'Anonymous User',
+          email: req.headers['x-user-email'] || 'anonymous',
+          role: req.headers['x-user-role'] || null
+        },
+        method: 'unverified'
+      };
+    }
+    return {};
+  }
+
+  return {
+    authenticate
+  };
+}
+
+module.exports = {
+  createAuthenticator
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mysql = require('mysql2/promise');
 require('dotenv').config();
 
@@ -77,10 +78,193 @@ async function initializeDatabase() {
       )
     `);
     
+    // Create predictions table
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS predictions (
+        id VARCHAR(255) PRIMARY KEY,
+        job_id VARCHAR(64),
+        user_id VARCHAR(255),
+        user_email VARCHAR(255),
+        user_name VARCHAR(255),
+        engine VARCHAR(64),
+        endpoint VARCHAR(255),
+        input_summary TEXT,
+        recipe MEDIUMTEXT,
+        status VARCHAR(32) NOT NULL DEFAULT 'processing',
+        output_urls TEXT,
+        error_message TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP NULL DEFAULT NULL,
+        INDEX idx_predictions_job_id (job_id),
+        INDEX idx_predictions_user_id (user_id),
+        INDEX idx_predictions_status (status)
+      )
+    `);
+    
+    // Create model version overrides table (admin pins of catalog versions)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS model_versions (
+        model_key VARCHAR(64) PRIMARY KEY,
+        version VARCHAR(255) NOT NULL,
+        previous_version VARCHAR(255),
+        updated_by VARCHAR(255),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Create thumbnails table (the saved image gallery)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS thumbnails (
+        id VARCHAR(64) PRIMARY KEY,
+        url VARCHAR(1024) NOT NULL,
+        original_url TEXT,
+        local_path VARCHAR(255),
+        content_hash CHAR(64),
+        prompt TEXT,
+        engine VARCHAR(64),
+        title VARCHAR(255),
+        description TEXT,
+        tags TEXT,
+        alt_text VARCHAR(1000),
+        settings TEXT,
+        extra TEXT,
+        derivatives TEXT,
+        use_count INT NOT NULL DEFAULT 0,
+        last_used_at TIMESTAMP NULL DEFAULT NULL,
+        user_id VARCHAR(255),
+        user_email VARCHAR(255),
+        user_name VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        deleted_at TIMESTAMP NULL DEFAULT NULL,
+        deleted_by VARCHAR(255),
+        INDEX idx_thumbnails_url (url(255)),
+        INDEX idx_thumbnails_user_id (user_id),
+        INDEX idx_thumbnails_created_at (created_at),
+        INDEX idx_thumbnails_user_created (user_id, created_at),
+        INDEX idx_thumbnails_deleted_at (deleted_at),
+        INDEX idx_thumbnails_user_hash (user_id, content_hash)
+      )
+    `);
+    
+    // Create trash table for deleted uploads (the files move to the trash directory)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS trash_files (
+        id VARCHAR(64) PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        filename VARCHAR(255) NOT NULL,
+        trash_filename VARCHAR(255) NOT NULL,
+        size BIGINT,
+        deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_trash_files_user_deleted (user_id, deleted_at),
+        INDEX idx_trash_files_deleted_at (deleted_at)
+      )
+    `);
+    
+    // Create collections tables (boards of gallery entries, optionally shared)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS collections (
+        id VARCHAR(64) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        user_id VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_collections_user_id (user_id)
+      )
+    `);
+    
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS collection_items (
+        collection_id VARCHAR(64) NOT NULL,
+        thumbnail_id VARCHAR(64) NOT NULL,
+        position INT NOT NULL,
+        added_by VARCHAR(255),
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (collection_id, thumbnail_id),
+        INDEX idx_collection_items_position (collection_id, position),
+        INDEX idx_collection_items_thumbnail (thumbnail_id)
+      )
+    `);
+    
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS collection_shares (
+        collection_id VARCHAR(64) NOT NULL,
+        user_id VARCHAR(255) NOT NULL,
+        permission VARCHAR(16) NOT NULL DEFAULT 'view',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (collection_id, user_id),
+        INDEX idx_collection_shares_user_id (user_id)
+      )
+    `);
+    
+    // Create user roles table (roles assigned by admins)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS user_roles (
+        user_id VARCHAR(255) PRIMARY KEY,
+        role VARCHAR(16) NOT NULL,
+        assigned_by VARCHAR(255),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Create upload owners table (who uploaded each file; identical uploads share a file)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS upload_owners (
+        filename VARCHAR(255) NOT NULL,
+        user_id VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (filename, user_id)
+      )
+    `);
+    
+    // Create rate limit tables (shared limiter state when RATE_LIMIT_STORE=mysql)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+        bucket_key VARCHAR(255) PRIMARY KEY,
+        tokens DOUBLE,
+        updated_at DATETIME(3) NOT NULL
+      )
+    `);
+    
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS rate_limit_slots (
+        id VARCHAR(64) PRIMARY KEY,
+        bucket_key VARCHAR(255) NOT NULL,
+        owner_id VARCHAR(255),
+        expires_at DATETIME(3) NOT NULL,
+        INDEX idx_rate_limit_slots_key (bucket_key, expires_at),
+        INDEX idx_rate_limit_slots_owner (owner_id)
+      )
+    `);
+    
+    // Create API keys table (keys for service accounts and teams; only a hash of each key is kept)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id VARCHAR(64) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        owner_type VARCHAR(16) NOT NULL,
+        owner_id VARCHAR(255) NOT NULL,
+        scopes TEXT NOT NULL,
+        key_prefix VARCHAR(32) NOT NULL,
+        key_hash CHAR(64) NOT NULL,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        rotated_at TIMESTAMP NULL,
+        expires_at TIMESTAMP NULL,
+        last_used_at TIMESTAMP NULL,
+        revoked_at TIMESTAMP NULL,
+        revoked_by VARCHAR(255),
+        UNIQUE INDEX idx_api_keys_hash (key_hash)
+      )
+    `);
+    
     connection.release();
     console.log('Database tables initialized successfully');
   } catch (error) {
     console.error('Error initializing database:', error);
+    throw error;
   }
 }
 
@@ -113,33 +297,239 @@ async function updateDatabaseSchema() {
         ADD COLUMN user_name VARCHAR(255) AFTER user_email
       `);
     }
+
+    // Track which predictions already have their billing row in api_logs
+    const [predictionColumns] = await connection.execute(`
+      SELECT COLUMN_NAME 
+      FROM INFORMATION_SCHEMA.COLUMNS 
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'predictions' 
+      AND COLUMN_NAME IN ('billing_logged_at', 'recipe')
+    `);
+
+    if (!predictionColumns.some(col => col.COLUMN_NAME === 'billing_logged_at')) {
+      await connection.execute(`
+        ALTER TABLE predictions 
+        ADD COLUMN billing_logged_at TIMESTAMP NULL DEFAULT NULL AFTER completed_at
+      `);
+    }
+
+    // Reproducible generation recipes (engine, version, input, seed)
+    if (!predictionColumns.some(col => col.COLUMN_NAME === 'recipe')) {
+      await connection.execute(`
+        ALTER TABLE predictions 
+        ADD COLUMN recipe MEDIUMTEXT AFTER input_summary
+      `);
+    }
+
+    // Gallery filtering by engine and sorting by use
+    const [thumbnailColumns] = await connection.execute(`
+      SELECT COLUMN_NAME 
+      FROM INFORMATION_SCHEMA.COLUMNS 
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'thumbnails' 
+      AND COLUMN_NAME IN ('engine', 'use_count', 'last_used_at')
+    `);
+    const existingThumbnailColumns = thumbnailColumns.map(col => col.COLUMN_NAME);
+
+    if (!existingThumbnailColumns.includes('engine')) {
+      await connection.execute(`
+        ALTER TABLE thumbnails 
+        ADD COLUMN engine VARCHAR(64) AFTER prompt
+      `);
+      // Entries saved before the column existed kept the engine in extra
+      await connection.execute(`
+        UPDATE thumbnails 
+        SET engine = JSON_UNQUOTE(JSON_EXTRACT(extra, '$.engine')) 
+        WHERE engine IS NULL AND extra IS NOT NULL
+      `);
+    }
+
+    if (!existingThumbnailColumns.includes('use_count')) {
+      await connection.execute(`
+        ALTER TABLE thumbnails 
+        ADD COLUMN use_count INT NOT NULL DEFAULT 0 AFTER extra
+      `);
+    }
+
+    if (!existingThumbnailColumns.includes('last_used_at')) {
+      await connection.execute(`
+        ALTER TABLE thumbnails 
+        ADD COLUMN last_used_at TIMESTAMP NULL DEFAULT NULL AFTER use_count
+      `);
+    }
+
+    // Editable gallery metadata
+    const [metadataColumns] = await connection.execute(`
+      SELECT COLUMN_NAME 
+      FROM INFORMATION_SCHEMA.COLUMNS 
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'thumbnails' 
+      AND COLUMN_NAME IN ('title', 'description', 'tags', 'alt_text')
+    `);
+
+    if (!metadataColumns.length) {
+      await connection.execute(`
+        ALTER TABLE thumbnails 
+        ADD COLUMN title VARCHAR(255) AFTER engine,
+        ADD COLUMN description TEXT AFTER title,
+        ADD COLUMN tags TEXT AFTER description,
+        ADD COLUMN alt_text VARCHAR(1000) AFTER tags
+      `);
+    }
+
+    // Per-user gallery pages are read newest or oldest first
+    const [thumbnailIndexes] = await connection.execute(`
+      SELECT INDEX_NAME 
+      FROM INFORMATION_SCHEMA.STATISTICS 
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'thumbnails' 
+      AND INDEX_NAME = 'idx_thumbnails_user_created'
+    `);
+
+    if (!thumbnailIndexes.length) {
+      await connection.execute(`
+        ALTER TABLE thumbnails 
+        ADD INDEX idx_thumbnails_user_created (user_id, created_at)
+      `);
+    }
+
+    // Soft delete: entries stay in the owner's trash until they are purged
+    const [trashColumns] = await connection.execute(`
+      SELECT COLUMN_NAME 
+      FROM INFORMATION_SCHEMA.COLUMNS 
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'thumbnails' 
+      AND COLUMN_NAME IN ('deleted_at', 'deleted_by')
+    `);
+
+    if (!trashColumns.length) {
+      await connection.execute(`
+        ALTER TABLE thumbnails 
+        ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL AFTER updated_at,
+        ADD COLUMN deleted_by VARCHAR(255) AFTER deleted_at,
+        ADD INDEX idx_thumbnails_deleted_at (deleted_at)
+      `);
+    }
+
+    // Resized WebP/AVIF copies and blur placeholders of gallery images
+    const [derivativeColumns] = await connection.execute(`
+      SELECT COLUMN_NAME 
+      FROM INFORMATION_SCHEMA.COLUMNS 
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'thumbnails' 
+      AND COLUMN_NAME = 'derivatives'
+    `);
+
+    if (!derivativeColumns.length) {
+      await connection.execute(`
+        ALTER TABLE thumbnails 
+        ADD COLUMN derivatives TEXT AFTER extra
+      `);
+    }
+
+    // SHA-256 of the image, to find entries saved twice
+    const [hashColumns] = await connection.execute(`
+      SELECT COLUMN_NAME 
+      FROM INFORMATION_SCHEMA.COLUMNS 
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'thumbnails' 
+      AND COLUMN_NAME = 'content_hash'
+    `);
+
+    if (!hashColumns.length) {
+      await connection.execute(`
+        ALTER TABLE thumbnails 
+        ADD COLUMN content_hash CHAR(64) AFTER local_path,
+        ADD INDEX idx_thumbnails_user_hash (user_id, content_hash)
+      `);
+    }
+
+    // Usage of billable calls, for quotas
+    const [usageColumns] = await connection.execute(`
+      SELECT COLUMN_NAME 
+      FROM INFORMATION_SCHEMA.COLUMNS 
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'api_logs' 
+      AND COLUMN_NAME = 'engine'
+    `);
+
+    if (!usageColumns.length) {
+      await connection.execute(`
+        ALTER TABLE api_logs 
+        ADD COLUMN engine VARCHAR(64) AFTER status_code,
+        ADD COLUMN output_count INT AFTER engine,
+        ADD COLUMN cost DECIMAL(10,4) AFTER output_count,
+        ADD INDEX idx_api_logs_user_created (user_id, created_at)
+      `);
+    }
+
+    // Job or prediction holding a concurrency slot, so any instance can release it
+    const [slotOwnerColumns] = await connection.execute(`
+      SELECT COLUMN_NAME 
+      FROM INFORMATION_SCHEMA.COLUMNS 
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'rate_limit_slots' 
+      AND COLUMN_NAME = 'owner_id'
+    `);
+
+    if (!slotOwnerColumns.length) {
+      await connection.execute(`
+        ALTER TABLE rate_limit_slots 
+        ADD COLUMN owner_id VARCHAR(255) AFTER bucket_key,
+        ADD INDEX idx_rate_limit_slots_owner (owner_id)
+      `);
+    }
+
+    // API key a call was made with
+    const [apiKeyColumns] = await connection.execute(`
+      SELECT COLUMN_NAME 
+      FROM INFORMATION_SCHEMA.COLUMNS 
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'api_logs' 
+      AND COLUMN_NAME = 'api_key_id'
+    `);
+
+    if (!apiKeyColumns.length) {
+      await connection.execute(`
+        ALTER TABLE api_logs 
+        ADD COLUMN api_key_id VARCHAR(64) AFTER user_name
+      `);
+    }
     
     connection.release();
     console.log('Database schema updated successfully');
   } catch (error) {
     console.error('Error updating database schema:', error);
+    throw error;
   }
 }
 
-// Update the logging function to handle missing user info
-async function logApiCall(userInfo, endpoint, method, status_code, request_body, response_body, error_message) {
+// Update the logging function to handle missing user info. Billable calls
+// pass `usage` ({ engine, outputs, cost }), which quotas are computed from.
+// Calls made with an API key also record the key's ID.
+async function logApiCall(userInfo, endpoint, method, status_code, request_body, response_body, error_message, usage = null) {
   console.log('logApiCall received user info:', userInfo);
   
   try {
     // First try to log with all columns
     const query = `
       INSERT INTO api_logs 
-      (user_id, user_email, user_name, endpoint, method, status_code, request_body, response_body, error_message)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      (user_id, user_email, user_name, api_key_id, endpoint, method, status_code, engine, output_count, cost, request_body, response_body, error_message)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     const values = [
       userInfo.id,
       userInfo.email,
       userInfo.name,
+      userInfo.apiKeyId || null,
       endpoint,
       method,
       status_code,
+      usage ? usage.engine : null,
+      usage ? usage.outputs : null,
+      usage ? usage.cost : null,
       JSON.stringify(request_body),
       JSON.stringify(response_body),
       error_message
@@ -162,15 +552,17 @@ async function logApiCall(userInfo, endpoint, method, status_code, request_body,
   }
 }
 
-// Get logs for a specific user
+// Get logs for a specific user, or for every user when userId is null
 async function getUserLogs(userId, limit = 100) {
   try {
     const connection = await pool.getConnection();
     
-    const [rows] = await connection.execute(
-      'SELECT * FROM api_logs WHERE user_id = ? ORDER BY created_at DESC LIMIT ?',
-      [userId, limit]
-    );
+    const [rows] = userId === null
+      ? await connection.query('SELECT * FROM api_logs ORDER BY created_at DESC LIMIT ?', [limit])
+      : await connection.query(
+        'SELECT * FROM api_logs WHERE user_id = ? ORDER BY created_at DESC LIMIT ?',
+        [userId, limit]
+      );
     
     connection.release();
     return rows;
@@ -180,10 +572,1077 @@ async function getUserLogs(userId, limit = 100) {
   }
 }
 
+// Billable usage of `userIds` since `monthStart`, in total and since
+// `dayStart`: { day: { requests, outputs, spend }, month: { ... } }
+async function getUsage(userIds, { dayStart, monthStart }) {
+  const [rows] = await pool.query(
+    `SELECT
+       COALESCE(SUM(created_at >= ?), 0) AS day_requests,
+       COALESCE(SUM(IF(created_at >= ?, output_count, 0)), 0) AS day_outputs,
+       COALESCE(SUM(IF(created_at >= ?, cost, 0)), 0) AS day_spend,
+       COUNT(*) AS month_requests,
+       COALESCE(SUM(output_count), 0) AS month_outputs,
+       COALESCE(SUM(cost), 0) AS month_spend
+     FROM api_logs
+     WHERE user_id IN (?) AND engine IS NOT NULL AND created_at >= ?`,
+    [dayStart, dayStart, dayStart, userIds, monthStart]
+  );
+  const row = rows[0];
+  return {
+    day: { requests: Number(row.day_requests), outputs: Number(row.day_outputs), spend: Number(row.day_spend) },
+    month: { requests: Number(row.month_requests), outputs: Number(row.month_outputs), spend: Number(row.month_spend) }
+  };
+}
+
+// Roles assigned by admins, keyed by user ID
+async function getUserRoles() {
+  const [rows] = await pool.query('SELECT * FROM user_roles');
+  const roles = {};
+  for (const row of rows) {
+    roles[row.user_id] = {
+      role: row.role,
+      assignedBy: row.assigned_by,
+      updatedAt: row.updated_at
+    };
+  }
+  return roles;
+}
+
+async function saveUserRole(userId, role, assignedBy) {
+  await pool.query(
+    `INSERT INTO user_roles (user_id, role, assigned_by)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       role = VALUES(role),
+       assigned_by = VALUES(assigned_by)`,
+    [userId, role, assignedBy]
+  );
+}
+
+async function deleteUserRole(userId) {
+  const [result] = await pool.query('DELETE FROM user_roles WHERE user_id = ?', [userId]);
+  return result.affectedRows;
+}
+
+function mapApiKeyRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    ownerType: row.owner_type,
+    ownerId: row.owner_id,
+    scopes: parseJsonColumn(row.scopes, []),
+    keyPrefix: row.key_prefix,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    rotatedAt: row.rotated_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+    revokedBy: row.revoked_by
+  };
+}
+
+async function createApiKey({ id, name, ownerType, ownerId, scopes, keyPrefix, keyHash, createdBy, expiresAt = null }) {
+  await pool.query(
+    `INSERT INTO api_keys (id, name, owner_type, owner_id, scopes, key_prefix, key_hash, created_by, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, name, ownerType, ownerId, JSON.stringify(scopes), keyPrefix, keyHash, createdBy, expiresAt]
+  );
+  return getApiKey(id);
+}
+
+async function getApiKey(id) {
+  const [rows] = await pool.query('SELECT * FROM api_keys WHERE id = ?', [id]);
+  return rows.length ? mapApiKeyRow(rows[0]) : null;
+}
+
+async function findApiKeyByHash(keyHash) {
+  const [rows] = await pool.query('SELECT * FROM api_keys WHERE key_hash = ?', [keyHash]);
+  return rows.length ? mapApiKeyRow(rows[0]) : null;
+}
+
+async function listApiKeys({ includeRevoked = false } = {}) {
+  const [rows] = await pool.query(
+    `SELECT * FROM api_keys ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'} ORDER BY created_at DESC`
+  );
+  return rows.map(mapApiKeyRow);
+}
+
+// Replace the secret of an active key. Returns whether the key was rotated.
+async function rotateApiKeySecret(id, keyPrefix, keyHash) {
+  const [result] = await pool.query(
+    `UPDATE api_keys
+     SET key_prefix = ?, key_hash = ?, rotated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND revoked_at IS NULL`,
+    [keyPrefix, keyHash, id]
+  );
+  return result.affectedRows > 0;
+}
+
+// Returns whether the key was active until now
+async function markApiKeyRevoked(id, revokedBy) {
+  const [result] = await pool.query(
+    'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP, revoked_by = ? WHERE id = ? AND revoked_at IS NULL',
+    [revokedBy, id]
+  );
+  return result.affectedRows > 0;
+}
+
+// Record that a key was used, at most once a minute per key
+async function touchApiKey(id) {
+  await pool.query(
+    `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL 1 MINUTE)`,
+    [id]
+  );
+}
+
+// Parse a JSON text column, returning the fallback for empty or invalid values
+function parseJsonColumn(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// Convert a predictions row into the shape used by the server
+function mapPredictionRow(row) {
+  return {
+    id: row.id,
+    jobId: row.job_id,
+    userInfo: {
+      id: row.user_id,
+      email: row.user_email,
+      name: row.user_name
+    },
+    engine: row.engine,
+    endpoint: row.endpoint,
+    inputSummary: parseJsonColumn(row.input_summary, null),
+    recipe: parseJsonColumn(row.recipe, null),
+    status: row.status,
+    outputUrls: parseJsonColumn(row.output_urls, []),
+    error: row.error_message,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at,
+    billingLoggedAt: row.billing_logged_at || null
+  };
+}
+
+// Insert or overwrite a prediction record
+async function savePrediction(prediction, connection = pool) {
+  const query = `
+    INSERT INTO predictions
+    (id, job_id, user_id, user_email, user_name, engine, endpoint, input_summary, recipe, status, output_urls, error_message, completed_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      job_id = VALUES(job_id),
+      user_id = VALUES(user_id),
+      user_email = VALUES(user_email),
+      user_name = VALUES(user_name),
+      engine = VALUES(engine),
+      endpoint = VALUES(endpoint),
+      input_summary = VALUES(input_summary),
+      recipe = VALUES(recipe),
+      status = VALUES(status),
+      output_urls = VALUES(output_urls),
+      error_message = VALUES(error_message),
+      completed_at = VALUES(completed_at)
+  `;
+
+  const userInfo = prediction.userInfo || {};
+  const values = [
+    prediction.id,
+    prediction.jobId || null,
+    userInfo.id || null,
+    userInfo.email || null,
+    userInfo.name || null,
+    prediction.engine || null,
+    prediction.endpoint || null,
+    prediction.inputSummary ? JSON.stringify(prediction.inputSummary) : null,
+    prediction.recipe ? JSON.stringify(prediction.recipe) : null,
+    prediction.status || 'processing',
+    JSON.stringify(prediction.outputUrls || []),
+    prediction.error || null,
+    prediction.completedAt || null
+  ];
+
+  await connection.query(query, values);
+}
+
+// Get a single prediction by its provider ID
+async function getPrediction(id) {
+  const [rows] = await pool.query('SELECT * FROM predictions WHERE id = ?', [id]);
+  return rows.length ? mapPredictionRow(rows[0]) : null;
+}
+
+// Get the prediction created for a queued job
+async function getPredictionByJobId(jobId) {
+  const [rows] = await pool.query(
+    'SELECT * FROM predictions WHERE job_id = ? ORDER BY created_at DESC LIMIT 1',
+    [jobId]
+  );
+  return rows.length ? mapPredictionRow(rows[0]) : null;
+}
+
+// Get all predictions with the given status, oldest first
+async function getPredictionsByStatus(status) {
+  const [rows] = await pool.query(
+    'SELECT * FROM predictions WHERE status = ? ORDER BY created_at ASC',
+    [status]
+  );
+  return rows.map(mapPredictionRow);
+}
+
+// Mark a prediction's billing row as written. Returns false if another
+// request or instance already claimed it, so each prediction is billed once.
+async function claimPredictionBilling(id) {
+  const [result] = await pool.query(
+    'UPDATE predictions SET billing_logged_at = CURRENT_TIMESTAMP WHERE id = ? AND billing_logged_at IS NULL',
+    [id]
+  );
+  return result.affectedRows > 0;
+}
+
+// Read-modify-write a prediction inside a row lock, so concurrent updates
+// from the webhook, the poller and other instances don't overwrite each other.
+// Unknown IDs are left alone and return null, unless `create` is set (when
+// the prediction was just started).
+async function updatePrediction(id, updateFn, { create = false } = {}) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query('SELECT * FROM predictions WHERE id = ? FOR UPDATE', [id]);
+    if (!rows.length && !create) {
+      await connection.commit();
+      return null;
+    }
+    const current = rows.length ? mapPredictionRow(rows[0]) : { id, status: 'processing', outputUrls: [] };
+    const updated = await updateFn(current);
+
+    await savePrediction({ ...updated, id }, connection);
+    await connection.commit();
+    return { ...updated, id };
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error updating prediction:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Get all admin-pinned model versions keyed by model key
+async function getModelVersionOverrides() {
+  const [rows] = await pool.query('SELECT * FROM model_versions');
+  const overrides = {};
+  for (const row of rows) {
+    overrides[row.model_key] = {
+      version: row.version,
+      previousVersion: row.previous_version,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    };
+  }
+  return overrides;
+}
+
+// Pin a model to a specific version
+async function saveModelVersionOverride(modelKey, version, previousVersion, updatedBy) {
+  await pool.query(
+    `INSERT INTO model_versions (model_key, version, previous_version, updated_by)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       version = VALUES(version),
+       previous_version = VALUES(previous_version),
+       updated_by = VALUES(updated_by)`,
+    [modelKey, version, previousVersion, updatedBy]
+  );
+}
+
+// Remove a pin so the model falls back to the catalog version
+async function deleteModelVersionOverride(modelKey) {
+  await pool.query('DELETE FROM model_versions WHERE model_key = ?', [modelKey]);
+}
+
+// Gallery entry fields that have their own columns; anything else the
+// frontend sends is kept in the extra column and returned as it was
+const THUMBNAIL_COLUMNS = ['id', 'url', 'originalUrl', 'localPath', 'prompt', 'engine', 'title', 'description', 'tags', 'altText', 'settings', 'timestamp', 'userId', 'userEmail', 'userName', 'useCount', 'lastUsedAt', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy', 'derivatives', 'contentHash', 'duplicate'];
+
+// Editable metadata fields and their columns
+const THUMBNAIL_METADATA_COLUMNS = {
+  title: 'title',
+  description: 'description',
+  tags: 'tags',
+  altText: 'alt_text'
+};
+
+// Convert a thumbnails row into the gallery entry shape the frontend uses
+function mapThumbnailRow(row) {
+  const entry = {
+    ...parseJsonColumn(row.extra, {}),
+    id: row.id,
+    url: row.url,
+    originalUrl: row.original_url,
+    localPath: row.local_path,
+    contentHash: row.content_hash || null,
+    prompt: row.prompt,
+    engine: row.engine,
+    title: row.title || null,
+    description: row.description || null,
+    tags: parseJsonColumn(row.tags, []),
+    altText: row.alt_text || null,
+    derivatives: parseJsonColumn(row.derivatives, null),
+    timestamp: row.created_at ? new Date(row.created_at).toISOString() : null,
+    userId: row.user_id,
+    userName: row.user_name,
+    userEmail: row.user_email,
+    useCount: row.use_count,
+    lastUsedAt: row.last_used_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+  const settings = parseJsonColumn(row.settings, null);
+  if (settings !== null) {
+    entry.settings = settings;
+  }
+  if (row.deleted_at) {
+    entry.deletedAt = row.deleted_at;
+    entry.deletedBy = row.deleted_by;
+  }
+  return entry;
+}
+
+function thumbnailValues(thumbnail) {
+  const extra = {};
+  for (const [key, value] of Object.entries(thumbnail)) {
+    if (!THUMBNAIL_COLUMNS.includes(key)) {
+      extra[key] = value;
+    }
+  }
+
+  const createdAt = thumbnail.timestamp ? new Date(thumbnail.timestamp) : new Date();
+  const settings = thumbnail.settings || {};
+  return [
+    String(thumbnail.id),
+    thumbnail.url,
+    thumbnail.originalUrl || null,
+    thumbnail.localPath || null,
+    thumbnail.contentHash || null,
+    thumbnail.prompt || null,
+    thumbnail.engine || thumbnail.engineType || settings.engine || settings.engineType || null,
+    thumbnail.title || null,
+    thumbnail.description || null,
+    thumbnail.tags ? JSON.stringify(thumbnail.tags) : null,
+    thumbnail.altText || null,
+    thumbnail.settings !== undefined ? JSON.stringify(thumbnail.settings) : null,
+    Object.keys(extra).length ? JSON.stringify(extra) : null,
+    thumbnail.derivatives ? JSON.stringify(thumbnail.derivatives) : null,
+    thumbnail.userId || null,
+    thumbnail.userEmail || null,
+    thumbnail.userName || null,
+    isNaN(createdAt.getTime()) ? new Date() : createdAt
+  ];
+}
+
+const INSERT_THUMBNAIL_COLUMNS = `
+  (id, url, original_url, local_path, content_hash, prompt, engine, title, description, tags, alt_text, settings, extra, derivatives, user_id, user_email, user_name, created_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`;
+
+// Add a gallery entry. The entry must already have an id.
+async function saveThumbnail(thumbnail) {
+  await pool.query(`INSERT INTO thumbnails ${INSERT_THUMBNAIL_COLUMNS}`, thumbnailValues(thumbnail));
+  return getThumbnail(thumbnail.id);
+}
+
+// All gallery entries that are not in the trash, newest first
+async function getThumbnails() {
+  const [rows] = await pool.query('SELECT * FROM thumbnails WHERE deleted_at IS NULL ORDER BY created_at DESC, id DESC');
+  return rows.map(mapThumbnailRow);
+}
+
+// A gallery entry, or null if it doesn't exist or is in the trash (unless
+// `includeDeleted` is set)
+async function getThumbnail(id, { includeDeleted = false } = {}) {
+  const [rows] = await pool.query(
+    `SELECT * FROM thumbnails WHERE id = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`,
+    [id]
+  );
+  return rows.length ? mapThumbnailRow(rows[0]) : null;
+}
+
+// A user's oldest entry (not in the trash) showing the image with this
+// SHA-256, or null. Without `userId` any user's entry is returned.
+async function findThumbnailByContentHash(contentHash, userId = null) {
+  const [rows] = await pool.query(
+    `SELECT * FROM thumbnails WHERE content_hash = ?${userId ? ' AND user_id = ?' : ''} AND deleted_at IS NULL
+     ORDER BY created_at ASC, id ASC LIMIT 1`,
+    userId ? [contentHash, userId] : [contentHash]
+  );
+  return rows.length ? mapThumbnailRow(rows[0]) : null;
+}
+
+// Whether entries other than `exceptId`, including ones in the trash, use
+// the image file `localPath`. Identical images share one file.
+async function isThumbnailFileInUse(localPath, exceptId) {
+  const [rows] = await pool.query(
+    'SELECT 1 FROM thumbnails WHERE local_path = ? AND id <> ? LIMIT 1',
+    [localPath, exceptId]
+  );
+  return rows.length > 0;
+}
+
+// Sort orders for gallery listings. Each ends with the id so pages are stable
+// when several entries share a timestamp or use count.
+const THUMBNAIL_SORTS = {
+  newest: { columns: ['created_at', 'id'], direction: 'DESC' },
+  oldest: { columns: ['created_at', 'id'], direction: 'ASC' },
+  most_used: { columns: ['use_count', 'created_at', 'id'], direction: 'DESC' }
+};
+
+// Columns of the sort key of the given sort order
+function thumbnailSortColumns(sort) {
+  return THUMBNAIL_SORTS[sort].columns;
+}
+
+// Key of an entry in the given sort order, used as the pagination cursor
+function thumbnailSortKey(thumbnail, sort) {
+  const values = { use_count: thumbnail.useCount, created_at: new Date(thumbnail.createdAt).toISOString(), id: thumbnail.id };
+  return thumbnailSortColumns(sort).map(column => values[column]);
+}
+
+// One page of gallery entries matching the filters. `after` is the sort key
+// of the last entry on the previous page. Returns the entries, the number of
+// entries matching the filters and the same count per engine (ignoring the
+// engine filter, so the gallery can show counts for every engine tab).
+async function listThumbnails({ ownerId = null, engines = [], from = null, to = null, search = null, sort = 'newest', limit = 50, after = null } = {}) {
+  const conditions = ['deleted_at IS NULL'];
+  const params = [];
+
+  if (ownerId) {
+    conditions.push('user_id = ?');
+    params.push(ownerId);
+  }
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('created_at <= ?');
+    params.push(to);
+  }
+  if (search) {
+    conditions.push("prompt LIKE ? ESCAPE '\\\\'");
+    params.push(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+
+  const [engineRows] = await pool.query(
+    `SELECT engine, COUNT(*) AS count FROM thumbnails WHERE ${conditions.join(' AND ')} GROUP BY engine`,
+    [...params]
+  );
+
+  if (engines.length) {
+    conditions.push(`engine IN (${engines.map(() => '?').join(', ')})`);
+    params.push(...engines);
+  }
+
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM thumbnails WHERE ${conditions.join(' AND ')}`, params);
+
+  const { columns, direction } = THUMBNAIL_SORTS[sort];
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+  if (after) {
+    pageConditions.push(`(${columns.join(', ')}) ${direction === 'DESC' ? '<' : '>'} (${columns.map(() => '?').join(', ')})`);
+    pageParams.push(...after.map((value, index) => (columns[index] === 'created_at' ? new Date(value) : value)));
+  }
+
+  const [rows] = await pool.query(
+    `SELECT * FROM thumbnails WHERE ${pageConditions.join(' AND ')} ORDER BY ${columns.map(column => `${column} ${direction}`).join(', ')} LIMIT ?`,
+    [...pageParams, limit + 1]
+  );
+
+  const engineCounts = {};
+  for (const row of engineRows) {
+    engineCounts[row.engine || 'unknown'] = Number(row.count);
+  }
+
+  return {
+    items: rows.slice(0, limit).map(mapThumbnailRow),
+    total: Number(total),
+    engineCounts,
+    hasMore: rows.length > limit
+  };
+}
+
+// Count a use of a gallery entry (for example as a reference image)
+async function recordThumbnailUse(id) {
+  // Keep updated_at for edits; last_used_at tracks use
+  await pool.query(
+    'UPDATE thumbnails SET use_count = use_count + 1, last_used_at = CURRENT_TIMESTAMP, updated_at = updated_at WHERE id = ?',
+    [id]
+  );
+  return getThumbnail(id);
+}
+
+// Change an entry's title, description, tags or alt text. Only the given
+// fields are updated; null clears a field.
+async function updateThumbnailMetadata(id, changes) {
+  const assignments = [];
+  const values = [];
+  for (const [field, column] of Object.entries(THUMBNAIL_METADATA_COLUMNS)) {
+    if (changes[field] === undefined) continue;
+    assignments.push(`${column} = ?`);
+    values.push(field === 'tags' && changes.tags !== null ? JSON.stringify(changes.tags) : changes[field]);
+  }
+
+  if (assignments.length) {
+    await pool.query(`UPDATE thumbnails SET ${assignments.join(', ')} WHERE id = ?`, [...values, id]);
+  }
+  return getThumbnail(id);
+}
+
+// Point an entry at a re-downloaded image. Its derivatives are recreated on
+// the next request.
+async function updateThumbnailUrls(id, url, originalUrl, contentHash = null) {
+  await pool.query(
+    'UPDATE thumbnails SET url = ?, original_url = ?, local_path = ?, content_hash = ?, derivatives = NULL WHERE id = ?',
+    [url, originalUrl, url.split('/').pop(), contentHash, id]
+  );
+}
+
+// Store the resized copies created for an entry
+async function updateThumbnailDerivatives(id, derivatives) {
+  await pool.query(
+    'UPDATE thumbnails SET derivatives = ?, updated_at = updated_at WHERE id = ?',
+    [derivatives ? JSON.stringify(derivatives) : null, id]
+  );
+}
+
+// Move an entry to its owner's trash. Returns false if it was already there.
+async function trashThumbnail(id, deletedBy) {
+  const [result] = await pool.query(
+    'UPDATE thumbnails SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?, updated_at = updated_at WHERE id = ? AND deleted_at IS NULL',
+    [deletedBy, id]
+  );
+  return result.affectedRows > 0;
+}
+
+// Take an entry out of the trash. Returns false if it wasn't in the trash.
+async function restoreThumbnail(id) {
+  const [result] = await pool.query(
+    'UPDATE thumbnails SET deleted_at = NULL, deleted_by = NULL, updated_at = updated_at WHERE id = ? AND deleted_at IS NOT NULL',
+    [id]
+  );
+  return result.affectedRows > 0;
+}
+
+// Entries in the trash, most recently deleted first. Limited to one owner's
+// trash and/or to entries deleted before a date (for purging).
+async function listTrashedThumbnails({ userId = null, deletedBefore = null } = {}) {
+  const conditions = ['deleted_at IS NOT NULL'];
+  const params = [];
+  if (userId) {
+    conditions.push('user_id = ?');
+    params.push(userId);
+  }
+  if (deletedBefore) {
+    conditions.push('deleted_at <= ?');
+    params.push(deletedBefore);
+  }
+
+  const [rows] = await pool.query(
+    `SELECT * FROM thumbnails WHERE ${conditions.join(' AND ')} ORDER BY deleted_at DESC, id DESC`,
+    params
+  );
+  return rows.map(mapThumbnailRow);
+}
+
+// Permanently delete an entry and take it out of any collections. Returns
+// the number of entries removed.
+async function deleteThumbnail(id) {
+  const [result] = await pool.query('DELETE FROM thumbnails WHERE id = ?', [id]);
+  await pool.query('DELETE FROM collection_items WHERE thumbnail_id = ?', [id]);
+  return result.affectedRows;
+}
+
+// Insert entries from the old thumbnails.json. Entries without an id get one
+// derived from their URL and timestamp, and entries that were already
+// imported are skipped, so running the import twice is harmless.
+async function importThumbnails(thumbnails) {
+  let imported = 0;
+  for (const thumbnail of thumbnails) {
+    if (!thumbnail || !thumbnail.url) continue;
+    const id = thumbnail.id || crypto.createHash('sha256')
+      .update(`${thumbnail.url}|${thumbnail.timestamp || ''}`)
+      .digest('hex')
+      .substring(0, 32);
+    const [result] = await pool.query(`INSERT IGNORE INTO thumbnails ${INSERT_THUMBNAIL_COLUMNS}`, thumbnailValues({ ...thumbnail, id }));
+    imported += result.affectedRows;
+  }
+  return { imported, skipped: thumbnails.length - imported };
+}
+
+function mapTrashedFileRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    filename: row.filename,
+    trashFilename: row.trash_filename,
+    size: row.size === null ? null : Number(row.size),
+    deletedAt: row.deleted_at
+  };
+}
+
+// Record an upload that was moved to the trash
+async function saveTrashedFile({ id, userId, filename, trashFilename, size }) {
+  await pool.query(
+    'INSERT INTO trash_files (id, user_id, filename, trash_filename, size) VALUES (?, ?, ?, ?, ?)',
+    [id, userId, filename, trashFilename, size === undefined ? null : size]
+  );
+  return getTrashedFile(id);
+}
+
+async function getTrashedFile(id) {
+  const [rows] = await pool.query('SELECT * FROM trash_files WHERE id = ?', [id]);
+  return rows.length ? mapTrashedFileRow(rows[0]) : null;
+}
+
+// Uploads in the trash, most recently deleted first. Takes the same filters
+// as listTrashedThumbnails.
+async function listTrashedFiles({ userId = null, deletedBefore = null } = {}) {
+  const conditions = [];
+  const params = [];
+  if (userId) {
+    conditions.push('user_id = ?');
+    params.push(userId);
+  }
+  if (deletedBefore) {
+    conditions.push('deleted_at <= ?');
+    params.push(deletedBefore);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const [rows] = await pool.query(`SELECT * FROM trash_files ${where} ORDER BY deleted_at DESC, id DESC`, params);
+  return rows.map(mapTrashedFileRow);
+}
+
+// Forget a trashed upload (after restoring or purging its file)
+async function deleteTrashedFile(id) {
+  const [result] = await pool.query('DELETE FROM trash_files WHERE id = ?', [id]);
+  return result.affectedRows;
+}
+
+// Run `updateFn` on the rate limit bucket `key` while it is locked.
+// updateFn gets { tokens, elapsedSeconds } (tokens is null for a new bucket)
+// and returns { tokens, result }; the tokens are stored and result returned.
+// Time is measured with the database clock, so every instance agrees.
+async function updateRateLimitBucket(key, updateFn) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    await connection.query(
+      'INSERT IGNORE INTO rate_limit_buckets (bucket_key, tokens, updated_at) VALUES (?, NULL, NOW(3))',
+      [key]
+    );
+    const [rows] = await connection.query(
+      `SELECT tokens, TIMESTAMPDIFF(MICROSECOND, updated_at, NOW(3)) / 1000000 AS elapsed_seconds
+       FROM rate_limit_buckets WHERE bucket_key = ? FOR UPDATE`,
+      [key]
+    );
+    const { tokens, result } = updateFn({
+      tokens: rows[0].tokens === null ? null : Number(rows[0].tokens),
+      elapsedSeconds: Number(rows[0].elapsed_seconds)
+    });
+
+    await connection.query(
+      'UPDATE rate_limit_buckets SET tokens = ?, updated_at = NOW(3) WHERE bucket_key = ?',
+      [tokens, key]
+    );
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error updating rate limit bucket:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Take one of the `max` concurrency slots of `key` as `slotId`. Slots are
+// leased for `leaseSeconds`, so the slots of a crashed instance free up.
+// Returns whether a slot was free.
+async function acquireConcurrencySlot(key, slotId, max, leaseSeconds) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // The bucket row serializes slot changes for the key
+    await connection.query(
+      'INSERT IGNORE INTO rate_limit_buckets (bucket_key, tokens, updated_at) VALUES (?, NULL, NOW(3))',
+      [key]
+    );
+    await connection.query('SELECT bucket_key FROM rate_limit_buckets WHERE bucket_key = ? FOR UPDATE', [key]);
+    await connection.query('DELETE FROM rate_limit_slots WHERE bucket_key = ? AND expires_at <= NOW(3)', [key]);
+
+    const [rows] = await connection.query('SELECT COUNT(*) AS count FROM rate_limit_slots WHERE bucket_key = ?', [key]);
+    const acquired = Number(rows[0].count) < max;
+    if (acquired) {
+      await connection.query(
+        'INSERT INTO rate_limit_slots (id, bucket_key, expires_at) VALUES (?, ?, NOW(3) + INTERVAL ? SECOND)',
+        [slotId, key, leaseSeconds]
+      );
+    }
+
+    await connection.commit();
+    return acquired;
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error acquiring concurrency slot:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+async function releaseConcurrencySlot(slotId) {
+  await pool.query('DELETE FROM rate_limit_slots WHERE id = ?', [slotId]);
+}
+
+// Hand concurrency slots to the job or prediction `ownerId`
+async function assignConcurrencySlots(slotIds, ownerId) {
+  await pool.query('UPDATE rate_limit_slots SET owner_id = ? WHERE id IN (?)', [ownerId, slotIds]);
+}
+
+// Extend the lease of concurrency slots. Returns how many are still held.
+async function renewConcurrencySlots(slotIds, leaseSeconds) {
+  const [result] = await pool.query(
+    'UPDATE rate_limit_slots SET expires_at = NOW(3) + INTERVAL ? SECOND WHERE id IN (?)',
+    [leaseSeconds, slotIds]
+  );
+  return result.affectedRows;
+}
+
+async function releaseConcurrencySlotsOf(ownerId) {
+  await pool.query('DELETE FROM rate_limit_slots WHERE owner_id = ?', [ownerId]);
+}
+
+// Remember that `userId` uploaded `filename`
+async function recordUploadOwner(filename, userId) {
+  await pool.query('INSERT IGNORE INTO upload_owners (filename, user_id) VALUES (?, ?)', [filename, userId]);
+}
+
+async function isUploadOwner(filename, userId) {
+  const [rows] = await pool.query(
+    'SELECT 1 FROM upload_owners WHERE filename = ? AND user_id = ? LIMIT 1',
+    [filename, userId]
+  );
+  return rows.length > 0;
+}
+
+// Forget that `userId` uploaded `filename`. Returns how many other users
+// still own the file.
+async function removeUploadOwner(filename, userId) {
+  await pool.query('DELETE FROM upload_owners WHERE filename = ? AND user_id = ?', [filename, userId]);
+  const [rows] = await pool.query('SELECT COUNT(*) AS owners FROM upload_owners WHERE filename = ?', [filename]);
+  return Number(rows[0].owners);
+}
+
+// Forget every owner of `filename` (once its file is gone)
+async function deleteUploadOwners(filename) {
+  await pool.query('DELETE FROM upload_owners WHERE filename = ?', [filename]);
+}
+
+// Collection fields with the number of entries, the first entry's image as a
+// cover, and who the collection is shared with. Entries in the trash are
+// left out until they are restored.
+const COLLECTION_SELECT = `
+  SELECT c.*,
+    (SELECT COUNT(*) FROM collection_items i JOIN thumbnails t ON t.id = i.thumbnail_id
+      WHERE i.collection_id = c.id AND t.deleted_at IS NULL) AS item_count,
+    (SELECT t.url FROM collection_items i JOIN thumbnails t ON t.id = i.thumbnail_id
+      WHERE i.collection_id = c.id AND t.deleted_at IS NULL ORDER BY i.position LIMIT 1) AS cover_url
+  FROM collections c
+`;
+
+function mapCollectionRow(row, shares = []) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || null,
+    userId: row.user_id,
+    itemCount: Number(row.item_count || 0),
+    coverUrl: row.cover_url || null,
+    shares,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Shares of the given collections, keyed by collection id
+async function getCollectionShares(ids) {
+  const shares = {};
+  if (!ids.length) return shares;
+
+  const [rows] = await pool.query(
+    `SELECT * FROM collection_shares WHERE collection_id IN (${ids.map(() => '?').join(', ')}) ORDER BY created_at, user_id`,
+    ids
+  );
+  for (const row of rows) {
+    (shares[row.collection_id] = shares[row.collection_id] || []).push({
+      userId: row.user_id,
+      permission: row.permission,
+      sharedAt: row.created_at
+    });
+  }
+  return shares;
+}
+
+async function getCollection(id) {
+  const [rows] = await pool.query(`${COLLECTION_SELECT} WHERE c.id = ?`, [id]);
+  if (!rows.length) return null;
+  const shares = await getCollectionShares([id]);
+  return mapCollectionRow(rows[0], shares[id]);
+}
+
+// Collections a user owns or that are shared with them, most recently changed first
+async function listCollections(userId) {
+  const [rows] = await pool.query(
+    `${COLLECTION_SELECT}
+     WHERE c.user_id = ? OR c.id IN (SELECT collection_id FROM collection_shares WHERE user_id = ?)
+     ORDER BY c.updated_at DESC, c.id DESC`,
+    [userId, userId]
+  );
+  const shares = await getCollectionShares(rows.map(row => row.id));
+  return rows.map(row => mapCollectionRow(row, shares[row.id]));
+}
+
+async function createCollection({ id, name, description, userId }) {
+  await pool.query(
+    'INSERT INTO collections (id, name, description, user_id) VALUES (?, ?, ?, ?)',
+    [id, name, description || null, userId]
+  );
+  return getCollection(id);
+}
+
+// Rename a collection or change its description. Only the given fields are updated.
+async function updateCollection(id, changes) {
+  const assignments = [];
+  const values = [];
+  for (const field of ['name', 'description']) {
+    if (changes[field] === undefined) continue;
+    assignments.push(`${field} = ?`);
+    values.push(changes[field]);
+  }
+
+  if (assignments.length) {
+    await pool.query(`UPDATE collections SET ${assignments.join(', ')} WHERE id = ?`, [...values, id]);
+  }
+  return getCollection(id);
+}
+
+// Run `work` with the collection row locked, then mark the collection as
+// changed. Keeps positions consistent when several people edit a shared board.
+async function withCollectionLock(id, work) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    await connection.query('SELECT id FROM collections WHERE id = ? FOR UPDATE', [id]);
+    const result = await work(connection);
+    await connection.query('UPDATE collections SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error updating collection:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Delete a collection with its items and shares. The gallery entries stay.
+async function deleteCollection(id) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    await connection.query('DELETE FROM collection_items WHERE collection_id = ?', [id]);
+    await connection.query('DELETE FROM collection_shares WHERE collection_id = ?', [id]);
+    const [result] = await connection.query('DELETE FROM collections WHERE id = ?', [id]);
+    await connection.commit();
+    return result.affectedRows;
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error deleting collection:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Gallery entries in a collection, in board order
+async function getCollectionItems(id) {
+  const [rows] = await pool.query(
+    `SELECT t.*, i.position AS item_position, i.added_by AS item_added_by, i.added_at AS item_added_at
+     FROM collection_items i JOIN thumbnails t ON t.id = i.thumbnail_id
+     WHERE i.collection_id = ? AND t.deleted_at IS NULL
+     ORDER BY i.position, i.added_at`,
+    [id]
+  );
+  return rows.map(row => ({
+    ...mapThumbnailRow(row),
+    position: row.item_position,
+    addedBy: row.item_added_by,
+    addedAt: row.item_added_at
+  }));
+}
+
+// Append entries to the end of a collection. Entries already in it are
+// skipped. Returns the number added.
+async function addCollectionItems(id, thumbnailIds, addedBy) {
+  return withCollectionLock(id, async (connection) => {
+    const [[{ last }]] = await connection.query(
+      'SELECT COALESCE(MAX(position), -1) AS last FROM collection_items WHERE collection_id = ?',
+      [id]
+    );
+    let position = Number(last);
+    let added = 0;
+    for (const thumbnailId of thumbnailIds) {
+      const [result] = await connection.query(
+        'INSERT IGNORE INTO collection_items (collection_id, thumbnail_id, position, added_by) VALUES (?, ?, ?, ?)',
+        [id, thumbnailId, position + 1, addedBy]
+      );
+      if (result.affectedRows) {
+        position++;
+        added++;
+      }
+    }
+    return added;
+  });
+}
+
+// Take an entry out of a collection. Returns the number of items removed.
+async function removeCollectionItem(id, thumbnailId) {
+  return withCollectionLock(id, async (connection) => {
+    const [result] = await connection.query(
+      'DELETE FROM collection_items WHERE collection_id = ? AND thumbnail_id = ?',
+      [id, thumbnailId]
+    );
+    return result.affectedRows;
+  });
+}
+
+// Put a collection's entries in the given order. `thumbnailIds` must list
+// every entry in the collection; returns false (and changes nothing) if it
+// doesn't, for example because someone else changed the board meanwhile.
+// Entries in the trash aren't listed and move to the end.
+async function reorderCollectionItems(id, thumbnailIds) {
+  return withCollectionLock(id, async (connection) => {
+    const [rows] = await connection.query(
+      `SELECT i.thumbnail_id, t.deleted_at FROM collection_items i JOIN thumbnails t ON t.id = i.thumbnail_id
+       WHERE i.collection_id = ? ORDER BY i.position, i.added_at`,
+      [id]
+    );
+    const current = new Set(rows.filter(row => !row.deleted_at).map(row => row.thumbnail_id));
+    if (current.size !== thumbnailIds.length || !thumbnailIds.every(thumbnailId => current.has(thumbnailId))) {
+      return false;
+    }
+
+    const trashed = rows.filter(row => row.deleted_at).map(row => row.thumbnail_id);
+    for (const [position, thumbnailId] of [...thumbnailIds, ...trashed].entries()) {
+      await connection.query(
+        'UPDATE collection_items SET position = ? WHERE collection_id = ? AND thumbnail_id = ?',
+        [position, id, thumbnailId]
+      );
+    }
+    return true;
+  });
+}
+
+// Replace the list of users a collection is shared with
+async function setCollectionShares(id, shares) {
+  await withCollectionLock(id, async (connection) => {
+    await connection.query('DELETE FROM collection_shares WHERE collection_id = ?', [id]);
+    for (const share of shares) {
+      await connection.query(
+        'INSERT INTO collection_shares (collection_id, user_id, permission) VALUES (?, ?, ?)',
+        [id, share.userId, share.permission]
+      );
+    }
+  });
+  return getCollection(id);
+}
+
 module.exports = {
   pool,
   initializeDatabase,
   updateDatabaseSchema,
   logApiCall,
-  getUserLogs
-}; 
\ No newline at end of file
+  getUserLogs,
+  getUsage,
+  getUserRoles,
+  saveUserRole,
+  deleteUserRole,
+  createApiKey,
+  getApiKey,
+  findApiKeyByHash,
+  listApiKeys,
+  rotateApiKeySecret,
+  markApiKeyRevoked,
+  touchApiKey,
+  savePrediction,
+  getPrediction,
+  getPredictionByJobId,
+  getPredictionsByStatus,
+  claimPredictionBilling,
+  updatePrediction,
+  getModelVersionOverrides,
+  saveModelVersionOverride,
+  deleteModelVersionOverride,
+  saveThumbnail,
+  getThumbnails,
+  getThumbnail,
+  findThumbnailByContentHash,
+  isThumbnailFileInUse,
+  listThumbnails,
+  thumbnailSortColumns,
+  thumbnailSortKey,
+  recordThumbnailUse,
+  updateThumbnailMetadata,
+  updateThumbnailUrls,
+  updateThumbnailDerivatives,
+  trashThumbnail,
+  restoreThumbnail,
+  listTrashedThumbnails,
+  deleteThumbnail,
+  importThumbnails,
+  saveTrashedFile,
+  getTrashedFile,
+  listTrashedFiles,
+  deleteTrashedFile,
+  updateRateLimitBucket,
+  acquireConcurrencySlot,
+  releaseConcurrencySlot,
+  assignConcurrencySlots,
+  renewConcurrencySlots,
+  releaseConcurrencySlotsOf,
+  recordUploadOwner,
+  isUploadOwner,
+  removeUploadOwner,
+  deleteUploadOwners,
+  getCollection,
+  listCollections,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  getCollectionItems,
+  addCollectionItems,
+  removeCollectionItem,
+  reorderCollectionItems,
+  setCollectionShares
+};
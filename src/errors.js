@@ -0,0 +1,32 @@
+// Every error response uses the same envelope:
+//   { error: "Human readable message", code: "MACHINE_READABLE_CODE", details?, fields? }
+// `fields` lists invalid inputs as { field, code, message } for validation errors.
+
+class ApiError extends Error {
+  constructor(status, code, message, { details, fields } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.fields = fields;
+  }
+}
+
+function sendError(res, status, code, message, { details, fields } = {}) {
+  const body = { error: message, code };
+  if (details !== undefined) body.details = details;
+  if (fields !== undefined) body.fields = fields;
+  return res.status(status).json(body);
+}
+
+// 400 response listing each invalid field
+function sendValidationError(res, fields) {
+  return sendError(res, 400, 'VALIDATION_ERROR', 'Request validation failed', { fields });
+}
+
+module.exports = {
+  ApiError,
+  sendError,
+  sendValidationError
+};
@@ -0,0 +1,96 @@
+const path = require('path');
+const sharp = require('sharp');
+
+// Resized copies of gallery images, so grids don't load full-resolution
+// files. Each size is written as WebP and AVIF next to the original in
+// storage, named after the original's SHA-256, e.g. thumbnails/<sha256>.png ->
+// thumbnails/<sha256>_small.webp, ..._small.avif
+
+// Longest side of each size in pixels. Smaller images are never enlarged.
+const DERIVATIVE_SIZES = {
+  small: 256,
+  medium: 512,
+  large: 1024
+};
+
+const DERIVATIVE_FORMATS = {
+  webp: { quality: 80 },
+  avif: { quality: 50, effort: 2 }
+};
+
+// The blur placeholder is tiny enough to inline in gallery responses
+const PLACEHOLDER_SIZE = 16;
+
+// Create every size and format for the image stored at `sourceKey`, plus a
+// blurred placeholder data URI. Returns a description to store with the
+// gallery entry:
+//   { width, height, placeholder, sizes: { small: { width, height, webp, avif }, ... } }
+// where webp/avif are file names next to the original.
+async function createDerivatives(storage, sourceKey) {
+  const body = await storage.get(sourceKey);
+  if (!body) {
+    throw new Error(`${sourceKey} not found in storage`);
+  }
+  const folder = sourceKey.substring(0, sourceKey.lastIndexOf('/') + 1);
+  const baseName = path.basename(sourceKey, path.extname(sourceKey));
+
+  // rotate() applies EXIF orientation so derivatives show the right way up
+  const source = sharp(body).rotate();
+  const { width, height } = await source.metadata();
+
+  const sizes = {};
+  for (const [size, maxSide] of Object.entries(DERIVATIVE_SIZES)) {
+    const entry = {};
+    for (const [format, options] of Object.entries(DERIVATIVE_FORMATS)) {
+      const filename = `${baseName}_${size}.${format}`;
+      const { data, info } = await source
+        .clone()
+        .resize({ width: maxSide, height: maxSide, fit: 'inside', withoutEnlargement: true })
+        [format](options)
+        .toBuffer({ resolveWithObject: true });
+      await storage.put(`${folder}${filename}`, data, { contentType: `image/${format}` });
+      entry.width = info.width;
+      entry.height = info.height;
+      entry[format] = filename;
+    }
+    sizes[size] = entry;
+  }
+
+  const placeholder = await source
+    .clone()
+    .resize({ width: PLACEHOLDER_SIZE, height: PLACEHOLDER_SIZE, fit: 'inside' })
+    .blur()
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  console.log(`Created ${Object.keys(sizes).length} derivative sizes for ${sourceKey}`);
+  return {
+    width,
+    height,
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    sizes
+  };
+}
+
+// File names of all derivatives described by `derivatives`
+function derivativeFilenames(derivatives) {
+  if (!derivatives || !derivatives.sizes) return [];
+  return Object.values(derivatives.sizes).flatMap(entry =>
+    Object.keys(DERIVATIVE_FORMATS).map(format => entry[format]).filter(Boolean)
+  );
+}
+
+// Delete the derivative files stored under `folder` (e.g. "thumbnails/")
+async function removeDerivatives(storage, folder, derivatives) {
+  for (const filename of derivativeFilenames(derivatives)) {
+    await storage.delete(`${folder}${path.basename(filename)}`);
+  }
+}
+
+module.exports = {
+  DERIVATIVE_SIZES,
+  DERIVATIVE_FORMATS,
+  createDerivatives,
+  derivativeFilenames,
+  removeDerivatives
+};
@@ -1,17 +1,52 @@
-const { initializeDatabase, updateDatabaseSchema } = require('./db');
+const fs = require('fs').promises;
+const path = require('path');
+const { initializeDatabase, updateDatabaseSchema, importThumbnails } = require('./db');
+
+// Where the server kept the gallery before it moved into MySQL
+const isUpsun = process.env.PLATFORM_APPLICATION_NAME || process.env.PLATFORM_APP_DIR;
+const THUMBNAILS_FILE = process.env.THUMBNAILS_FILE ||
+    (isUpsun ? '/tmp/thumbnails.json' : path.resolve(__dirname, '..', 'data', 'thumbnails.json'));
+
+// One-time import of thumbnails.json into the thumbnails table. The file is
+// renamed afterwards so the next run doesn't import it again.
+async function importThumbnailsFile() {
+    let thumbnails;
+    try {
+        thumbnails = JSON.parse(await fs.readFile(THUMBNAILS_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            console.log(`No thumbnails file at ${THUMBNAILS_FILE}, nothing to import`);
+            return;
+        }
+        throw new Error(`Could not read ${THUMBNAILS_FILE}: ${error.message}`);
+    }
+
+    if (!Array.isArray(thumbnails)) {
+        throw new Error(`${THUMBNAILS_FILE} does not contain a list of thumbnails`);
+    }
+
+    const { imported, skipped } = await importThumbnails(thumbnails);
+    console.log(`Imported ${imported} thumbnails from ${THUMBNAILS_FILE} (${skipped} skipped)`);
+
+    await fs.rename(THUMBNAILS_FILE, `${THUMBNAILS_FILE}.imported`);
+    console.log(`Renamed ${THUMBNAILS_FILE} to ${THUMBNAILS_FILE}.imported`);
+}
 
 async function init() {
     try {
         console.log('Starting database initialization...');
-        
+
         // Initialize base tables
         await initializeDatabase();
         console.log('Base tables initialized successfully');
-        
+
         // Update schema with any new columns
         await updateDatabaseSchema();
         console.log('Schema updates applied successfully');
-        
+
+        // Move the old file-based gallery into the database
+        await importThumbnailsFile();
+
         console.log('Database initialization completed successfully');
         process.exit(0);
     } catch (error) {
@@ -20,4 +55,4 @@ async function init() {
     }
 }
 
-init(); 
\ No newline at end of file
+init();
\ No newline at end of file
@@ -0,0 +1,213 @@
+// Validates request inputs against the schemas declared in config/models.json
+// and maps them to the names each model expects.
+//
+// Each field in a model's `inputs` may declare:
+//   type      string | integer | number | boolean | image | aspect_ratio
+//   target    model input name (defaults to the field name)
+//   aliases   other request names accepted for the field
+//   required, default, min, max, enum, maxLength
+//
+// Models that accept the "custom" aspect ratio declare their size limits in
+// `dimensions` ({ min, max, multiple }); width and height are then required.
+
+// Sizes are snapped to multiples of 8 unless the model asks for another multiple
+const DEFAULT_DIMENSION_MULTIPLE = 8;
+
+// Named aspect ratios the frontend may send instead of "w:h"
+const ASPECT_RATIO_MAP = {
+  square: "1:1",
+  portrait: "3:4",
+  landscape: "4:3",
+  widescreen: "16:9",
+  ultrawide: "9:16"
+};
+
+// Find the first value given for a field under its name or an alias.
+// Empty strings count as missing, since the frontend sends "" for unset images.
+function findValue(sources, names) {
+  for (const source of sources) {
+    if (!source) continue;
+    for (const name of names) {
+      const value = source[name];
+      if (value !== undefined && value !== null && value !== '') {
+        return { found: true, value, name };
+      }
+    }
+  }
+  return { found: false };
+}
+
+function isImageReference(value) {
+  if (value.startsWith('data:image/')) return true;
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Coerce and check a single value. Returns { value } or { error: { code, message } }.
+// Multipart forms send everything as strings, so numeric and boolean strings are coerced.
+function checkValue(fieldName, spec, rawValue, model) {
+  let value = rawValue;
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        value = Number(value);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: { code: 'invalid_type', message: `${fieldName} must be a number` } };
+      }
+      if (spec.type === 'integer' && !Number.isInteger(value)) {
+        return { error: { code: 'invalid_type', message: `${fieldName} must be an integer` } };
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return { error: { code: 'out_of_range', message: `${fieldName} must be at least ${spec.min}` } };
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return { error: { code: 'out_of_range', message: `${fieldName} must be at most ${spec.max}` } };
+      }
+      break;
+    }
+    case 'boolean': {
+      if (value === 'true') value = true;
+      if (value === 'false') value = false;
+      if (typeof value !== 'boolean') {
+        return { error: { code: 'invalid_type', message: `${fieldName} must be true or false` } };
+      }
+      break;
+    }
+    case 'image': {
+      if (typeof value !== 'string' || !isImageReference(value)) {
+        return { error: { code: 'invalid_image', message: `${fieldName} must be an image URL or data URI` } };
+      }
+      break;
+    }
+    case 'aspect_ratio': {
+      if (typeof value === 'string' && ASPECT_RATIO_MAP[value]) {
+        value = ASPECT_RATIO_MAP[value];
+      }
+      const allowed = (model && model.aspectRatios) || [];
+      if (typeof value !== 'string' || (allowed.length && !allowed.includes(value))) {
+        return { error: { code: 'invalid_enum', message: `${fieldName} must be one of: ${allowed.join(', ')}` } };
+      }
+      break;
+    }
+    default: {
+      if (typeof value === 'number') value = String(value);
+      if (typeof value !== 'string') {
+        return { error: { code: 'invalid_type', message: `${fieldName} must be a string` } };
+      }
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        return { error: { code: 'too_long', message: `${fieldName} must be at most ${spec.maxLength} characters` } };
+      }
+    }
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return { error: { code: 'invalid_enum', message: `${fieldName} must be one of: ${spec.enum.join(', ')}` } };
+  }
+
+  return { value };
+}
+
+// Snap a size to the nearest multiple, staying within the model's limits
+function snapDimension(value, { min, max, multiple = DEFAULT_DIMENSION_MULTIPLE }) {
+  const snapped = Math.round(value / multiple) * multiple;
+  const lowest = Math.ceil(min / multiple) * multiple;
+  const highest = Math.floor(max / multiple) * multiple;
+  return Math.min(highest, Math.max(lowest, snapped));
+}
+
+// Validate width/height for the "custom" aspect ratio and add them to the input
+function applyCustomDimensions(model, sources, input, errors) {
+  const limits = model.dimensions;
+  if (!limits) {
+    errors.push({ field: 'aspect_ratio', code: 'invalid_enum', message: `${model.key} does not support custom dimensions` });
+    return;
+  }
+
+  for (const fieldName of ['width', 'height']) {
+    const match = findValue(sources, [fieldName]);
+    if (!match.found) {
+      errors.push({ field: fieldName, code: 'required', message: `${fieldName} is required for the custom aspect ratio` });
+      continue;
+    }
+
+    const result = checkValue(fieldName, { type: 'number', min: limits.min, max: limits.max }, match.value, model);
+    if (result.error) {
+      errors.push({ field: fieldName, ...result.error });
+    } else {
+      input[fieldName] = snapDimension(result.value, limits);
+    }
+  }
+}
+
+// Validate request data for a catalog model. `sources` are searched in order
+// (for example the body, then body.settings). Returns the model input built
+// from the model's fixed inputs and the mapped values, the accepted values
+// keyed by schema field name (defaults included), plus any field errors.
+function validateModelInput(model, sources) {
+  const input = { ...(model.fixedInputs || {}) };
+  const values = {};
+  const errors = [];
+
+  for (const [fieldName, spec] of Object.entries(model.inputs || {})) {
+    const names = [fieldName, ...(spec.aliases || [])];
+    const match = findValue(sources, names);
+    const target = spec.target || fieldName;
+
+    if (!match.found) {
+      if (spec.required) {
+        errors.push({ field: fieldName, code: 'required', message: `${fieldName} is required` });
+      } else if (spec.default !== undefined) {
+        input[target] = spec.default;
+        values[fieldName] = spec.default;
+      }
+      continue;
+    }
+
+    const result = checkValue(match.name, spec, match.value, model);
+    if (result.error) {
+      errors.push({ field: match.name, ...result.error });
+    } else {
+      input[target] = result.value;
+      values[fieldName] = result.value;
+    }
+
+    if (spec.type === 'aspect_ratio' && input[target] === 'custom') {
+      applyCustomDimensions(model, sources, input, errors);
+      values.width = input.width;
+      values.height = input.height;
+    }
+  }
+
+  return { input, values, errors };
+}
+
+// Number of outputs a prediction with `input` produces: the requested
+// num_outputs, else the model's fixed or default value, else one
+function expectedOutputCount(model, input = {}) {
+  const spec = (model.inputs || {}).num_outputs;
+  const target = (spec && spec.target) || 'num_outputs';
+  const candidates = [input[target], (model.fixedInputs || {})[target], spec && spec.default];
+  const count = candidates.find(value => Number.isInteger(value) && value > 0);
+  return count || 1;
+}
+
+// Model input names whose values are images and may need to be resolved
+function imageTargets(model) {
+  return Object.entries(model.inputs || {})
+    .filter(([, spec]) => spec.type === 'image')
+    .map(([fieldName, spec]) => ({ field: fieldName, target: spec.target || fieldName }));
+}
+
+module.exports = {
+  ASPECT_RATIO_MAP,
+  validateModelInput,
+  expectedOutputCount,
+  imageTargets
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Number of jobs the worker runs at the same time
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+// Keep finished jobs around for an hour so clients can fetch the result
+const JOB_RETENTION = 60 * 60 * 1000;
+
+const jobs = new Map();
+const pendingJobs = [];
+let activeJobs = 0;
+
+// Emits 'update' (job) on every status change and 'queue' when queue positions shift
+const jobEvents = new EventEmitter();
+
+// Public view of a job, safe to return from the API
+function serializeJob(job) {
+  return {
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    position: getQueuePosition(job.id),
+    predictionId: job.predictionId || null,
+    result: job.result || null,
+    error: job.error || null,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    completedAt: job.completedAt ? new Date(job.completedAt).toISOString() : null
+  };
+}
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Add a job to the queue. The handler receives the job and returns the result.
+// Handlers should watch job.signal, which is aborted when the job is cancelled.
+function enqueueJob(type, userInfo, handler) {
+  const abortController = new AbortController();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    userInfo,
+    handler,
+    abortController,
+    signal: abortController.signal,
+    status: 'queued',
+    predictionId: null,
+    result: null,
+    error: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    completedAt: null
+  };
+
+  jobs.set(job.id, job);
+  pendingJobs.push(job);
+  console.log(`Queued ${type} job ${job.id} (pending: ${pendingJobs.length})`);
+  jobEvents.emit('update', job);
+
+  // Start the worker on the next tick so the route can respond first
+  setImmediate(processQueue);
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// 1-based position in the queue, or 0 once the job has left it
+function getQueuePosition(id) {
+  return pendingJobs.findIndex(job => job.id === id) + 1;
+}
+
+// IDs of the jobs still waiting, in queue order
+function getPendingJobIds() {
+  return pendingJobs.map(job => job.id);
+}
+
+async function runJob(job) {
+  job.status = 'processing';
+  job.startedAt = Date.now();
+  console.log(`Starting ${job.type} job ${job.id}`);
+  jobEvents.emit('update', job);
+
+  try {
+    job.result = await job.handler(job);
+    job.status = 'completed';
+    console.log(`Completed ${job.type} job ${job.id}`);
+  } catch (error) {
+    if (job.signal.aborted) {
+      console.log(`Job ${job.id} was cancelled`);
+      job.status = 'cancelled';
+      job.error = 'Job was cancelled';
+    } else {
+      console.error(`Job ${job.id} failed:`, error.message);
+      job.status = 'failed';
+      job.error = error.message;
+    }
+  } finally {
+    job.completedAt = Date.now();
+    // The handler closes over request data (images, files) - drop it
+    job.handler = null;
+    jobEvents.emit('update', job);
+  }
+}
+
+function processQueue() {
+  let dequeued = false;
+  while (activeJobs < JOB_CONCURRENCY && pendingJobs.length > 0) {
+    const job = pendingJobs.shift();
+    activeJobs++;
+    dequeued = true;
+
+    runJob(job).finally(() => {
+      activeJobs--;
+      processQueue();
+    });
+  }
+
+  if (dequeued) {
+    jobEvents.emit('queue');
+  }
+}
+
+function isJobFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+// Cancel a job. Queued jobs are dropped from the queue straight away; running
+// jobs are signalled so their polling loop stops early. Returns false if the
+// job is unknown or already finished.
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job || isJobFinished(job)) {
+    return false;
+  }
+
+  const index = pendingJobs.indexOf(job);
+  if (index !== -1) {
+    pendingJobs.splice(index, 1);
+    job.status = 'cancelled';
+    job.error = 'Job was cancelled';
+    job.completedAt = Date.now();
+    job.handler = null;
+    jobEvents.emit('update', job);
+    jobEvents.emit('queue');
+  }
+
+  job.abortController.abort();
+  console.log(`Cancellation requested for ${job.type} job ${job.id}`);
+  return true;
+}
+
+// Remove finished jobs older than the retention window
+function cleanupJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs.entries()) {
+    if (job.completedAt && (now - job.completedAt) > JOB_RETENTION) {
+      jobs.delete(id);
+    }
+  }
+}
+
+setInterval(cleanupJobs, 15 * 60 * 1000).unref();
+
+module.exports = {
+  enqueueJob,
+  cancelJob,
+  isJobFinished,
+  getJob,
+  getQueuePosition,
+  getPendingJobIds,
+  serializeJob,
+  jobEvents
+};
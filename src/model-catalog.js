@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const { getModelVersionOverrides, saveModelVersionOverride, deleteModelVersionOverride } = require('./db');
+const { ApiError } = require('./errors');
+
+// The catalog lives in config/models.json; admins can pin versions in the
+// model_versions table without a code deploy
+const MODELS_CONFIG_FILE = process.env.MODELS_CONFIG_FILE || path.resolve(__dirname, '..', 'config', 'models.json');
+// How often each instance re-reads pinned versions from the database
+const OVERRIDE_REFRESH_INTERVAL = 60 * 1000;
+
+const VERSION_PATTERN = /^[a-f0-9]{64}$/;
+
+let catalog = loadCatalogFile();
+let overrides = {};
+
+// Read and check the catalog file. Fails fast at startup if it is invalid.
+function loadCatalogFile() {
+  const raw = fs.readFileSync(MODELS_CONFIG_FILE, 'utf8');
+  const entries = JSON.parse(raw);
+
+  for (const [key, entry] of Object.entries(entries)) {
+    if (!entry.version || !entry.displayName || !entry.category) {
+      throw new Error(`Model "${key}" in ${MODELS_CONFIG_FILE} needs a version, displayName and category`);
+    }
+    // Estimated cost of one output in USD, used for spend quotas
+    if (entry.unitCost !== undefined && !(typeof entry.unitCost === 'number' && entry.unitCost >= 0)) {
+      throw new Error(`Model "${key}" in ${MODELS_CONFIG_FILE} has an invalid unitCost`);
+    }
+  }
+
+  console.log(`Loaded ${Object.keys(entries).length} models from ${MODELS_CONFIG_FILE}`);
+  return entries;
+}
+
+function isValidVersion(version) {
+  return typeof version === 'string' && VERSION_PATTERN.test(version);
+}
+
+// Catalog entry with any pinned version applied, or null for unknown keys
+function getModel(key) {
+  const entry = catalog[key];
+  if (!entry) return null;
+
+  const override = overrides[key];
+  return {
+    key,
+    ...entry,
+    version: override ? override.version : entry.version,
+    defaultVersion: entry.version,
+    pinned: Boolean(override),
+    pinnedBy: override ? override.updatedBy : null,
+    pinnedAt: override ? override.updatedAt : null
+  };
+}
+
+// All models, optionally limited to one category (generation, illustration, tool)
+function listModels(category = null) {
+  return Object.keys(catalog)
+    .map(getModel)
+    .filter(model => !category || model.category === category);
+}
+
+async function refreshModelOverrides() {
+  try {
+    overrides = await getModelVersionOverrides();
+  } catch (error) {
+    console.error('Error loading model version overrides:', error.message);
+  }
+}
+
+// Pin a model to a version. The version it replaces is kept for reference.
+async function pinModelVersion(key, version, userInfo) {
+  const current = getModel(key);
+  if (!current) {
+    throw new ApiError(404, 'MODEL_NOT_FOUND', `Unknown model: ${key}`);
+  }
+  if (!isValidVersion(version)) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Request validation failed', {
+      fields: [{ field: 'version', code: 'invalid_version', message: 'Version must be a 64 character Replicate version hash' }]
+    });
+  }
+
+  await saveModelVersionOverride(key, version, current.version, userInfo.id);
+  await refreshModelOverrides();
+  console.log(`Model ${key} pinned to version ${version} by ${userInfo.id}`);
+  return getModel(key);
+}
+
+// Remove a pin so the model uses the catalog version again
+async function unpinModelVersion(key, userInfo) {
+  if (!catalog[key]) {
+    throw new ApiError(404, 'MODEL_NOT_FOUND', `Unknown model: ${key}`);
+  }
+
+  await deleteModelVersionOverride(key);
+  await refreshModelOverrides();
+  console.log(`Model ${key} reset to catalog version by ${userInfo.id}`);
+  return getModel(key);
+}
+
+setInterval(refreshModelOverrides, OVERRIDE_REFRESH_INTERVAL).unref();
+
+module.exports = {
+  getModel,
+  listModels,
+  refreshModelOverrides,
+  pinModelVersion,
+  unpinModelVersion
+};
@@ -0,0 +1,108 @@
+const { EventEmitter } = require('events');
+
+// In-process event bus for prediction progress. Events are published under a
+// prediction ID and/or a job ID; SSE clients subscribe to whichever ID they have.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Last status, log length and percent seen per prediction, so we only
+// publish what changed between webhook calls and polling attempts
+const progressState = new Map();
+
+const PROVIDER_STATUS_MAP = {
+  starting: 'processing',
+  processing: 'processing',
+  succeeded: 'completed',
+  failed: 'failed',
+  canceled: 'cancelled'
+};
+
+function publishPredictionEvent(ids, event) {
+  for (const id of [].concat(ids)) {
+    if (id) {
+      emitter.emit(id, event);
+    }
+  }
+}
+
+// Listen for events under an ID. Returns a function that removes the listener.
+function subscribeToPrediction(id, listener) {
+  emitter.on(id, listener);
+  return () => emitter.off(id, listener);
+}
+
+// Extract percent complete from provider logs (tqdm style progress bars)
+function parseProgress(logs) {
+  if (!logs) return null;
+
+  const percentMatches = [...logs.matchAll(/(\d{1,3})%\|/g)];
+  if (percentMatches.length) {
+    return Math.min(100, parseInt(percentMatches[percentMatches.length - 1][1], 10));
+  }
+
+  const stepMatches = [...logs.matchAll(/(\d+)\/(\d+) \[/g)];
+  if (stepMatches.length) {
+    const [, current, total] = stepMatches[stepMatches.length - 1];
+    if (parseInt(total, 10) > 0) {
+      return Math.min(100, Math.round((parseInt(current, 10) / parseInt(total, 10)) * 100));
+    }
+  }
+
+  return null;
+}
+
+// Publish whatever changed in a provider prediction since the last update:
+// status transitions, new log lines and percent complete
+function reportProviderUpdate(prediction, extraIds = []) {
+  if (!prediction || !prediction.id) return;
+
+  const ids = [prediction.id, ...[].concat(extraIds)];
+  const state = progressState.get(prediction.id) || { status: null, logLength: 0, percent: null };
+
+  if (prediction.status && prediction.status !== state.status) {
+    state.status = prediction.status;
+    publishPredictionEvent(ids, {
+      type: 'status',
+      source: 'provider',
+      predictionId: prediction.id,
+      status: PROVIDER_STATUS_MAP[prediction.status] || prediction.status,
+      providerStatus: prediction.status
+    });
+  }
+
+  const logs = prediction.logs || '';
+  if (logs.length > state.logLength) {
+    const lines = logs.substring(state.logLength).split('\n').filter(line => line.trim());
+    state.logLength = logs.length;
+    if (lines.length) {
+      publishPredictionEvent(ids, { type: 'log', predictionId: prediction.id, lines });
+    }
+  }
+
+  const percent = prediction.status === 'succeeded' ? 100 : parseProgress(logs);
+  if (percent !== null && percent !== state.percent) {
+    state.percent = percent;
+    publishPredictionEvent(ids, { type: 'progress', predictionId: prediction.id, percent });
+  }
+
+  if (['succeeded', 'failed', 'canceled'].includes(prediction.status)) {
+    progressState.delete(prediction.id);
+  } else {
+    progressState.set(prediction.id, state);
+  }
+}
+
+// Drop the progress kept for a prediction we stop hearing about without a
+// final provider status (polling timed out or was cancelled, or it was
+// finalized some other way)
+function forgetPredictionProgress(predictionId) {
+  progressState.delete(predictionId);
+}
+
+module.exports = {
+  publishPredictionEvent,
+  subscribeToPrediction,
+  reportProviderUpdate,
+  forgetPredictionProgress,
+  parseProgress
+};
@@ -0,0 +1,36 @@
+const { createReplicateProvider } = require('./replicate');
+const { createMockProvider } = require('./mock');
+
+// Every provider implements the same interface:
+//   name, requiresApiToken
+//   receivesWebhooks - whether webhook calls can be verified, so whether
+//     predictions should register a webhook at all
+//   createPrediction({ version, input, webhook, webhookEventsFilter })
+//   getPrediction(id)
+//   cancelPrediction(id)
+//   normalizeOutput(engineType, output) -> array of output URLs
+//   extractSeed(prediction) -> seed the model used, or null if unknown
+//   verifyWebhook({ headers, rawBody }) -> whether a webhook call really
+//     comes from the provider
+
+// Predictions use Replicate's shape and statuses
+// (starting, processing, succeeded, failed, canceled).
+const PROVIDERS = {
+  replicate: createReplicateProvider,
+  mock: createMockProvider
+};
+
+// Create the provider named by IMAGE_PROVIDER (default: replicate)
+function createProvider(name = process.env.IMAGE_PROVIDER || 'replicate', options = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown image provider "${name}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  console.log(`Using image provider: ${name}`);
+  return factory(options);
+}
+
+module.exports = {
+  createProvider
+};
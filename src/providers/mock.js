@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const path = require('path');
+const fsPromises = require('fs').promises;
+const sharp = require('sharp');
+
+// Default timings for the simulated prediction lifecycle
+const DEFAULT_QUEUE_MS = 1000;
+const DEFAULT_PROCESSING_MS = 4000;
+// Forget predictions an hour after they were created
+const PREDICTION_RETENTION = 60 * 60 * 1000;
+
+// Prompts containing this marker fail, so error paths can be exercised
+const FAILURE_MARKER = '[fail]';
+
+function hashInput(input) {
+  return crypto.createHash('sha256').update(JSON.stringify(input || {})).digest('hex');
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Output size from explicit width/height or an "w:h" aspect ratio
+function outputDimensions(input) {
+  if (Number(input.width) > 0 && Number(input.height) > 0) {
+    return { width: Number(input.width), height: Number(input.height) };
+  }
+
+  const BASE_SIZE = 1024;
+  if (typeof input.aspect_ratio === 'string' && input.aspect_ratio.includes(':')) {
+    const [w, h] = input.aspect_ratio.split(':').map(num => parseFloat(num));
+    if (w > 0 && h > 0) {
+      return w >= h
+        ? { width: BASE_SIZE, height: Math.round((h / w) * BASE_SIZE / 8) * 8 }
+        : { width: Math.round((w / h) * BASE_SIZE / 8) * 8, height: BASE_SIZE };
+    }
+  }
+
+  return { width: BASE_SIZE, height: BASE_SIZE };
+}
+
+// Work out what kind of model was called from its input
+function detectTask(input) {
+  if (input.scale !== undefined && input.image) return 'upscale';
+  if (input.vectorize_res !== undefined) return 'svg';
+  return 'image';
+}
+
+function placeholderSvg({ width, height, color, label }) {
+  const fontSize = Math.max(12, Math.round(Math.min(width, height) / 24));
+  return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+  <rect width="100%" height="100%" fill="${color}"/>
+  <path d="M0 0 L${width} ${height} M${width} 0 L0 ${height}" stroke="#ffffff" stroke-opacity="0.25" stroke-width="4"/>
+  <text x="50%" y="50%" font-family="sans-serif" font-size="${fontSize}" fill="#ffffff" text-anchor="middle">${escapeXml(label)}</text>
+</svg>`;
+}
+
+function decodeDataUri(value) {
+  const match = typeof value === 'string' && value.match(/^data:[^;]+;base64,(.+)$/);
+  return match ? Buffer.from(match[1], 'base64') : null;
+}
+
+// Local provider that renders placeholder images with sharp and simulates
+// queued/processing/succeeded/failed timings without any network access
+function createMockProvider({
+  outputDir,
+  baseUrl,
+  queueMs = parseInt(process.env.MOCK_PROVIDER_QUEUE_MS, 10) || DEFAULT_QUEUE_MS,
+  processingMs = parseInt(process.env.MOCK_PROVIDER_PROCESSING_MS, 10) || DEFAULT_PROCESSING_MS
+}) {
+  const predictions = new Map();
+
+  async function renderOutputs(prediction, input) {
+    await fsPromises.mkdir(outputDir, { recursive: true });
+    const task = detectTask(input);
+    const color = `#${prediction.hash.substring(0, 6)}`;
+
+    if (task === 'svg') {
+      const filename = `${prediction.id}.svg`;
+      const svg = placeholderSvg({ width: 512, height: 512, color, label: 'mock svg' });
+      await fsPromises.writeFile(path.join(outputDir, filename), svg);
+      return `${baseUrl}/${filename}`;
+    }
+
+    if (task === 'upscale') {
+      const filename = `${prediction.id}.png`;
+      const scale = parseInt(input.scale, 10) || 2;
+      const source = decodeDataUri(input.image);
+      let buffer;
+      try {
+        const metadata = await sharp(source).metadata();
+        buffer = await sharp(source).resize(metadata.width * scale).png().toBuffer();
+      } catch (error) {
+        buffer = await sharp(Buffer.from(placeholderSvg({ width: 512 * scale, height: 512 * scale, color, label: `mock upscale ${scale}x` })))
+          .png()
+          .toBuffer();
+      }
+      await fsPromises.writeFile(path.join(outputDir, filename), buffer);
+      return `${baseUrl}/${filename}`;
+    }
+
+    const { width, height } = outputDimensions(input);
+    const count = parseInt(input.num_outputs, 10) || 1;
+    const urls = [];
+    for (let index = 0; index < count; index++) {
+      const filename = `${prediction.id}-${index}.png`;
+      const label = `mock ${index + 1}/${count}: ${(input.prompt || '').substring(0, 40)}`;
+      const buffer = await sharp(Buffer.from(placeholderSvg({ width, height, color, label }))).png().toBuffer();
+      await fsPromises.writeFile(path.join(outputDir, filename), buffer);
+      urls.push(`${baseUrl}/${filename}`);
+    }
+    return urls;
+  }
+
+  // Progress logs in the same tqdm style Replicate models print
+  function progressLogs(prediction, fraction) {
+    const totalSteps = 10;
+    const steps = Math.min(totalSteps, Math.floor(fraction * totalSteps));
+    const lines = [`Using seed: ${prediction.seed}`];
+    for (let step = 1; step <= steps; step++) {
+      const percent = step * 10;
+      lines.push(`${String(percent).padStart(3)}%|${'█'.repeat(step)}${' '.repeat(totalSteps - step)}| ${step}/${totalSteps} [mock]`);
+    }
+    return lines.join('\n');
+  }
+
+  // Advance a prediction according to the time elapsed since it was created
+  async function advance(prediction) {
+    if (['succeeded', 'failed', 'canceled'].includes(prediction.status)) {
+      return;
+    }
+
+    const elapsed = Date.now() - prediction.createdAt;
+    if (elapsed < queueMs) {
+      prediction.status = 'starting';
+      return;
+    }
+
+    if (elapsed < queueMs + processingMs) {
+      prediction.status = 'processing';
+      prediction.started_at = prediction.started_at || new Date(prediction.createdAt + queueMs).toISOString();
+      prediction.logs = progressLogs(prediction, (elapsed - queueMs) / processingMs);
+      return;
+    }
+
+    const input = prediction.pendingInput;
+    prediction.pendingInput = null;
+    prediction.logs = progressLogs(prediction, 1);
+    prediction.completed_at = new Date().toISOString();
+
+    if (String(input.prompt || '').includes(FAILURE_MARKER)) {
+      prediction.status = 'failed';
+      prediction.error = 'Mock provider failure requested by prompt';
+      return;
+    }
+
+    try {
+      prediction.output = await renderOutputs(prediction, input);
+      prediction.status = 'succeeded';
+    } catch (error) {
+      console.error('Mock provider failed to render output:', error);
+      prediction.status = 'failed';
+      prediction.error = `Mock render failed: ${error.message}`;
+    }
+  }
+
+  // Copy without internal fields, shaped like a Replicate prediction
+  function publicView(prediction) {
+    const { pendingInput, createdAt, hash, ...view } = prediction;
+    return { ...view };
+  }
+
+  function cleanup() {
+    const now = Date.now();
+    for (const [id, prediction] of predictions.entries()) {
+      if (now - prediction.createdAt > PREDICTION_RETENTION) {
+        predictions.delete(id);
+      }
+    }
+  }
+
+  return {
+    name: 'mock',
+    requiresApiToken: false,
+    receivesWebhooks: false,
+
+    async createPrediction({ version, input }) {
+      cleanup();
+
+      const hash = hashInput(input);
+      const prediction = {
+        id: `mock-${crypto.randomBytes(10).toString('hex')}`,
+        version,
+        status: 'starting',
+        input: { prompt: input.prompt },
+        output: null,
+        error: null,
+        logs: '',
+        seed: input.seed !== undefined ? input.seed : parseInt(hash.substring(0, 8), 16),
+        created_at: new Date().toISOString(),
+        started_at: null,
+        completed_at: null,
+        createdAt: Date.now(),
+        hash,
+        pendingInput: input
+      };
+
+      predictions.set(prediction.id, prediction);
+      console.log(`Mock provider created prediction ${prediction.id}`);
+      return publicView(prediction);
+    },
+
+    async getPrediction(id) {
+      const prediction = predictions.get(id);
+      if (!prediction) {
+        throw new Error(`Prediction not found: ${id}`);
+      }
+      await advance(prediction);
+      return publicView(prediction);
+    },
+
+    async cancelPrediction(id) {
+      const prediction = predictions.get(id);
+      if (!prediction) {
+        throw new Error(`Prediction not found: ${id}`);
+      }
+      await advance(prediction);
+      if (!['succeeded', 'failed', 'canceled'].includes(prediction.status)) {
+        prediction.status = 'canceled';
+        prediction.pendingInput = null;
+        prediction.completed_at = new Date().toISOString();
+      }
+      return publicView(prediction);
+    },
+
+    normalizeOutput(engineType, output) {
+      const urls = [].concat(output || []);
+      if (!urls.length) {
+        throw new Error('No output images received from the model');
+      }
+      return urls;
+    },
+
+    extractSeed(prediction) {
+      const stored = predictions.get(prediction.id);
+      return stored ? stored.seed : null;
+    },
+
+    // The mock provider never calls webhooks
+    verifyWebhook() {
+      return false;
+    }
+  };
+}
+
+module.exports = {
+  createMockProvider
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const Replicate = require('replicate');
+
+// Webhook calls older or newer than this (in seconds) are rejected, so a
+// captured call can't be replayed later
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+// Extract the list of output URLs from a Replicate prediction's output
+function normalizeOutput(engineType, output) {
+  let imageUrls = [];
+  if (engineType === 'character') {
+    // Character model might return multiple images
+    imageUrls = Array.isArray(output) ? output : [output];
+  } else if (Array.isArray(output)) {
+    // If output is an array, use it directly
+    imageUrls = output;
+  } else if (output && typeof output === 'string') {
+    // If output is a single string (URL), put it in an array
+    imageUrls = [output];
+  } else if (output && output.image) {
+    // Some ControlNet models return { image: URL }
+    imageUrls = [output.image];
+  } else if (output && output.images) {
+    // Some models return { images: [URL, URL, ...] }
+    imageUrls = output.images;
+  } else {
+    throw new Error('Unexpected output format from model');
+  }
+
+  if (!imageUrls.length) {
+    throw new Error('No output images received from the model');
+  }
+
+  return imageUrls;
+}
+
+// Seed the model reports in its logs ("Using seed: 1234"), falling back to the
+// seed that was sent. Models that don't log their seed return null.
+function extractSeed(prediction) {
+  const match = typeof prediction.logs === 'string' && prediction.logs.match(/seed(?: is|:|=)\s*(\d+)/i);
+  if (match) {
+    return parseInt(match[1], 10);
+  }
+  const inputSeed = prediction.input && prediction.input.seed;
+  return Number.isInteger(inputSeed) ? inputSeed : null;
+}
+
+// Provider backed by the Replicate API. Webhooks are verified with
+// REPLICATE_WEBHOOK_SECRET, the signing secret of the Replicate account
+// (whsec_...). Without it no webhooks are registered, since none could be
+// verified, and predictions finish through polling.
+function createReplicateProvider({
+  apiToken = process.env.REPLICATE_API_TOKEN,
+  webhookSecret = process.env.REPLICATE_WEBHOOK_SECRET
+} = {}) {
+  const client = new Replicate({
+    auth: apiToken,
+  });
+
+  if (!webhookSecret) {
+    console.warn('REPLICATE_WEBHOOK_SECRET is not set. Webhooks are not registered, so predictions finish through polling.');
+  }
+
+  return {
+    name: 'replicate',
+    requiresApiToken: true,
+    receivesWebhooks: Boolean(webhookSecret),
+
+    async createPrediction({ version, input, webhook, webhookEventsFilter }) {
+      return client.predictions.create({
+        version,
+        input,
+        ...(webhook && { webhook }),
+        ...(webhook && webhookEventsFilter && { webhook_events_filter: webhookEventsFilter })
+      });
+    },
+
+    async getPrediction(id) {
+      return client.predictions.get(id);
+    },
+
+    async cancelPrediction(id) {
+      return client.predictions.cancel(id);
+    },
+
+    // Replicate signs webhook calls: webhook-signature holds one or more
+    // "v1,<base64 HMAC-SHA256>" entries over "<webhook-id>.<webhook-timestamp>.<body>"
+    verifyWebhook({ headers, rawBody }) {
+      if (!webhookSecret) {
+        console.error('REPLICATE_WEBHOOK_SECRET is not set, so webhook calls cannot be verified');
+        return false;
+      }
+
+      const id = headers['webhook-id'];
+      const timestamp = headers['webhook-timestamp'];
+      const signatures = headers['webhook-signature'];
+      if (!id || !timestamp || !signatures || !rawBody) {
+        return false;
+      }
+      if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - Number(timestamp)) > WEBHOOK_TOLERANCE_SECONDS) {
+        return false;
+      }
+
+      const key = Buffer.from(webhookSecret.replace(/^whsec_/, ''), 'base64');
+      const expected = Buffer.from(crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${rawBody}`).digest('base64'));
+      return signatures.split(' ').some(entry => {
+        const signature = Buffer.from(entry.substring(entry.indexOf(',') + 1));
+        return signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+      });
+    },
+
+    normalizeOutput,
+    extractSeed
+  };
+}
+
+module.exports = {
+  createReplicateProvider,
+  normalizeOutput
+};
@@ -0,0 +1,110 @@
+// Works out the public base URL of the app (e.g. https://visualizer.example.com),
+// which every URL returned by the API starts with. In order of preference:
+//   1. PUBLIC_BASE_URL
+//   2. The primary route in PLATFORM_ROUTES on Upsun
+//   3. X-Forwarded-Proto/X-Forwarded-Host of the request, when TRUST_PROXY=true
+//   4. The protocol and Host header of the request
+//   5. http://localhost:<port>, for work done outside a request
+
+// Origin of an http(s) URL (e.g. https://example.com:8443), or null. The app
+// is always served from the root of its host.
+function normalizeBaseUrl(value) {
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    return url.origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Upsun passes its routes as base64 encoded JSON keyed by URL. The route
+// marked primary wins, then the first route served by an app.
+function baseUrlFromPlatformRoutes(platformRoutes) {
+  if (!platformRoutes) return null;
+
+  let routes;
+  try {
+    const json = platformRoutes.trim().startsWith('{')
+      ? platformRoutes
+      : Buffer.from(platformRoutes, 'base64').toString('utf8');
+    routes = JSON.parse(json);
+  } catch (error) {
+    console.error('Could not parse PLATFORM_ROUTES:', error.message);
+    return null;
+  }
+
+  const upstreams = Object.entries(routes).filter(([, route]) => route && route.type === 'upstream');
+  const primary = upstreams.find(([, route]) => route.primary) || upstreams[0];
+  return primary ? normalizeBaseUrl(primary[0]) : null;
+}
+
+// First value of a header that proxies may send as a comma separated list
+function firstHeaderValue(value) {
+  return value ? String(value).split(',')[0].trim() : null;
+}
+
+function createPublicUrlResolver({
+  baseUrl = process.env.PUBLIC_BASE_URL,
+  platformRoutes = process.env.PLATFORM_ROUTES,
+  trustProxy = process.env.TRUST_PROXY === 'true',
+  port
+} = {}) {
+  let configured = null;
+  if (baseUrl) {
+    configured = normalizeBaseUrl(baseUrl);
+    if (!configured) {
+      console.error(`Ignoring invalid PUBLIC_BASE_URL: ${baseUrl}`);
+    }
+  }
+  configured = configured || baseUrlFromPlatformRoutes(platformRoutes);
+  const fallback = `http://localhost:${port}`;
+
+  // Base URL the request was made to, or null if its headers don't form one
+  function requestBaseUrl(req) {
+    const forwardedHost = trustProxy && firstHeaderValue(req.headers['x-forwarded-host']);
+    const host = forwardedHost || req.get('host');
+    const protocol = (trustProxy && firstHeaderValue(req.headers['x-forwarded-proto'])) || req.protocol;
+    return host ? normalizeBaseUrl(`${protocol}://${host}`) : null;
+  }
+
+  // Public base URL, for a request when there is one
+  function resolve(req = null) {
+    return configured || (req && requestBaseUrl(req)) || fallback;
+  }
+
+  // Whether `url` points at this app. Relative URLs are resolved against
+  // the public base URL; absolute ones must have the same origin as it, or
+  // as the request itself.
+  function isLocalUrl(url, req = null) {
+    if (typeof url !== 'string') return false;
+
+    const base = resolve(req);
+    let parsed;
+    try {
+      parsed = new URL(url, `${base}/`);
+    } catch (error) {
+      return false;
+    }
+
+    return parsed.origin === base || (req !== null && parsed.origin === requestBaseUrl(req));
+  }
+
+  if (configured) {
+    console.log(`Public base URL: ${configured}`);
+  } else {
+    console.log(`No PUBLIC_BASE_URL or PLATFORM_ROUTES; using request URLs (fallback ${fallback})`);
+  }
+
+  return {
+    // Base URL known without a request (PUBLIC_BASE_URL or PLATFORM_ROUTES),
+    // or null. Needed for callbacks from outside, such as webhooks.
+    configured,
+    resolve,
+    isLocalUrl
+  };
+}
+
+module.exports = {
+  createPublicUrlResolver
+};
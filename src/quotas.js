@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getUsage } = require('./db');
+const { getModel } = require('./model-catalog');
+const { principalId } = require('./api-keys');
+
+// Limits on billable calls (generations, upscales and SVG conversions) for
+// each user, and for each team as a whole. They live in config/quotas.json:
+//   {
+//     "defaults": { "requestsPerDay": 100, "outputsPerMonth": 1000, "spendPerMonth": 50 },
+//     "users": { "<user id>": { "spendPerMonth": 200 } },
+//     "teams": { "<team>": { "members": ["<user id>", ...], "spendPerMonth": 500 } }
+//   }
+// Users get the defaults with their own entry on top; teams only have the
+// limits they list. A missing or null limit means no limit. Service accounts
+// calling with API keys are users with the ID "service:<name>", and calls
+// made with a team's API keys count against the team.
+const QUOTAS_CONFIG_FILE = process.env.QUOTAS_CONFIG_FILE || path.resolve(__dirname, '..', 'config', 'quotas.json');
+
+// Usage counted by each limit and the period it resets after. Days and
+// months start at midnight UTC.
+const LIMITS = {
+  requestsPerDay: { metric: 'requests', period: 'day', label: 'Daily request' },
+  outputsPerMonth: { metric: 'outputs', period: 'month', label: 'Monthly output' },
+  spendPerMonth: { metric: 'spend', period: 'month', label: 'Monthly spend' }
+};
+
+// Calls still in progress count against quotas until their billing row is
+// logged, or for at most this long
+const RESERVATION_TTL = 30 * 60 * 1000;
+
+const config = loadQuotaConfig();
+const reservations = new Map();
+
+// Read and check the quota file. Fails fast at startup if it is invalid.
+function loadQuotaConfig() {
+  if (!fs.existsSync(QUOTAS_CONFIG_FILE)) {
+    console.log(`No quota file at ${QUOTAS_CONFIG_FILE}; usage is not limited`);
+    return { defaults: {}, users: {}, teams: {} };
+  }
+
+  const { defaults = {}, users = {}, teams = {} } = JSON.parse(fs.readFileSync(QUOTAS_CONFIG_FILE, 'utf8'));
+  const check = (name, limits) => {
+    for (const limit of Object.keys(LIMITS)) {
+      const value = limits[limit];
+      if (value !== undefined && value !== null && !(typeof value === 'number' && value >= 0)) {
+        throw new Error(`${name} in ${QUOTAS_CONFIG_FILE} has an invalid ${limit}`);
+      }
+    }
+  };
+
+  check('defaults', defaults);
+  for (const [userId, limits] of Object.entries(users)) {
+    check(`User "${userId}"`, limits);
+  }
+  for (const [team, limits] of Object.entries(teams)) {
+    if (!Array.isArray(limits.members)) {
+      throw new Error(`Team "${team}" in ${QUOTAS_CONFIG_FILE} needs a members list`);
+    }
+    check(`Team "${team}"`, limits);
+  }
+
+  console.log(`Loaded quotas for ${Object.keys(users).length} users and ${Object.keys(teams).length} teams from ${QUOTAS_CONFIG_FILE}`);
+  return { defaults, users, teams };
+}
+
+// Start and end of the day or month `now` falls in
+function periodBounds(period, now) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  if (period === 'day') {
+    const start = new Date(Date.UTC(year, month, now.getUTCDate()));
+    return { start, resetsAt: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+  }
+  return { start: new Date(Date.UTC(year, month, 1)), resetsAt: new Date(Date.UTC(year, month + 1, 1)) };
+}
+
+// The user's own quota and the quotas of their teams. Teams include the
+// user their API keys act as.
+function scopesFor(user) {
+  const scopes = [{
+    scope: 'user',
+    id: user.id,
+    members: [user.id],
+    limits: { ...config.defaults, ...(config.users[user.id] || {}) }
+  }];
+  for (const [team, { members, ...limits }] of Object.entries(config.teams)) {
+    const teamMembers = [...members, principalId('team', team)];
+    if (teamMembers.includes(user.id)) {
+      scopes.push({ scope: 'team', id: team, members: teamMembers, limits });
+    }
+  }
+
+  return scopes;
+}
+
+function hasLimits(scope) {
+  return Object.keys(LIMITS).some(limit => scope.limits[limit] !== undefined && scope.limits[limit] !== null);
+}
+
+// Usage of a billable call, as logged with it: `outputs` images of the
+// catalog model `engine`, priced at the model's unitCost
+function usageFor(engine, outputs) {
+  const model = getModel(engine);
+  const unitCost = model && model.unitCost ? model.unitCost : 0;
+  return { engine, outputs, cost: Math.round(unitCost * outputs * 10000) / 10000 };
+}
+
+// Logged usage of a scope plus the calls its members have in progress,
+// leaving out reservation `exceptId`
+async function scopeUsage(scope, now, exceptId = null) {
+  const usage = await getUsage(scope.members, {
+    dayStart: periodBounds('day', now).start,
+    monthStart: periodBounds('month', now).start
+  });
+
+  let inProgress = 0;
+  for (const reservation of reservations.values()) {
+    if (reservation.id === exceptId || !scope.members.includes(reservation.userId)) continue;
+    if (reservation.expiresAt <= now.getTime()) {
+      reservations.delete(reservation.id);
+      continue;
+    }
+    inProgress++;
+    for (const period of ['day', 'month']) {
+      usage[period].requests += 1;
+      usage[period].outputs += reservation.outputs;
+      usage[period].spend += reservation.cost;
+    }
+  }
+  for (const period of ['day', 'month']) {
+    usage[period].spend = Math.round(usage[period].spend * 10000) / 10000;
+  }
+  return { ...usage, inProgress };
+}
+
+// Each limit of a scope with how much of it is used
+function limitStatus(scope, usage, now) {
+  const limits = [];
+  for (const [limit, { metric, period }] of Object.entries(LIMITS)) {
+    const max = scope.limits[limit];
+    if (max === undefined || max === null) continue;
+    const used = usage[period][metric];
+    limits.push({
+      limit,
+      max,
+      used,
+      remaining: Math.max(0, Math.round((max - used) * 10000) / 10000),
+      resetsAt: periodBounds(period, now).resetsAt
+    });
+  }
+  return limits;
+}
+
+// Check that `usage` (from usageFor) fits in every quota of `user`, and
+// reserve it until the call is logged. Returns { allowed: true, release }
+// or { allowed: false, exceeded } where exceeded describes the first quota
+// that would be overrun. Call release() once the billing row is logged or
+// the call failed.
+async function reserveQuota(user, usage, now = new Date()) {
+  const reservation = {
+    id: crypto.randomUUID(),
+    userId: user.id,
+    outputs: usage.outputs,
+    cost: usage.cost,
+    expiresAt: now.getTime() + RESERVATION_TTL
+  };
+  // Reserve before looking up usage, so concurrent calls see each other
+  reservations.set(reservation.id, reservation);
+  const release = () => reservations.delete(reservation.id);
+  const requested = { requests: 1, outputs: usage.outputs, spend: usage.cost };
+
+  try {
+    for (const scope of scopesFor(user).filter(hasLimits)) {
+      const used = await scopeUsage(scope, now, reservation.id);
+      for (const status of limitStatus(scope, used, now)) {
+        const { metric, label } = LIMITS[status.limit];
+        if (status.used + requested[metric] > status.max) {
+          release();
+          return {
+            allowed: false,
+            exceeded: {
+              ...status,
+              scope: scope.scope,
+              id: scope.id,
+              requested: requested[metric],
+              message: `${label} quota of ${scope.scope === 'team' ? `team ${scope.id}` : 'your account'} exceeded`
+            }
+          };
+        }
+      }
+    }
+  } catch (error) {
+    // Don't block all generations because usage can't be read
+    console.error('Error checking quotas, allowing the request:', error.message);
+  }
+
+  return { allowed: true, release };
+}
+
+// Current usage and remaining allowance of `user` and their teams
+async function getUsageReport(user, now = new Date()) {
+  const quotas = [];
+  for (const scope of scopesFor(user)) {
+    const usage = await scopeUsage(scope, now);
+    quotas.push({
+      scope: scope.scope,
+      id: scope.id,
+      usage,
+      limits: limitStatus(scope, usage, now)
+    });
+  }
+
+  return {
+    userId: user.id,
+    periods: {
+      day: periodBounds('day', now),
+      month: periodBounds('month', now)
+    },
+    quotas
+  };
+}
+
+module.exports = {
+  usageFor,
+  reserveQuota,
+  getUsageReport
+};
@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  updateRateLimitBucket,
+  acquireConcurrencySlot,
+  releaseConcurrencySlot,
+  assignConcurrencySlots,
+  renewConcurrencySlots,
+  releaseConcurrencySlotsOf
+} = require('./db');
+const { sendError } = require('./errors');
+
+// Rate and concurrency limits for expensive routes, configured per route in
+// config/rate-limits.json:
+//   { "/api/generate-image": { "requestsPerMinute": 10, "burst": 10, "maxConcurrentPerUser": 4, "maxConcurrent": 40 } }
+// - requestsPerMinute and burst: a token bucket per user that holds `burst`
+//   requests (default requestsPerMinute) and refills at requestsPerMinute
+// - maxConcurrentPerUser and maxConcurrent: how many predictions started
+//   through the route may be in flight for one user, and for everyone
+// Leave a limit out for no limit. State is kept in memory per instance, or
+// in MySQL with RATE_LIMIT_STORE=mysql so every instance shares it.
+const RATE_LIMITS_CONFIG_FILE = process.env.RATE_LIMITS_CONFIG_FILE || path.resolve(__dirname, '..', 'config', 'rate-limits.json');
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+const LIMIT_FIELDS = ['requestsPerMinute', 'burst', 'maxConcurrentPerUser', 'maxConcurrent'];
+
+// Concurrency slots are leased, so slots that are never released (say the
+// instance crashed) free up after this long. The instance that started a
+// job or prediction renews the lease of its slots while it is in progress.
+const SLOT_LEASE_SECONDS = 15 * 60;
+const SLOT_RENEW_INTERVAL = SLOT_LEASE_SECONDS / 3 * 1000;
+// Retry-After for requests over a concurrency limit. When a slot frees up
+// isn't known, so clients should just try again a little later.
+const CONCURRENCY_RETRY_AFTER = 10;
+
+const config = loadRateLimitConfig();
+const store = createStore(RATE_LIMIT_STORE);
+// Lease renewal timers of handed over slots, keyed by owner ID
+const renewals = new Map();
+
+// Read and check the rate limit file. Fails fast at startup if it is invalid.
+function loadRateLimitConfig() {
+  if (!fs.existsSync(RATE_LIMITS_CONFIG_FILE)) {
+    console.log(`No rate limit file at ${RATE_LIMITS_CONFIG_FILE}; routes are not rate limited`);
+    return {};
+  }
+
+  const routes = JSON.parse(fs.readFileSync(RATE_LIMITS_CONFIG_FILE, 'utf8'));
+  for (const [route, limits] of Object.entries(routes)) {
+    for (const field of LIMIT_FIELDS) {
+      const value = limits[field];
+      if (value !== undefined && value !== null && !(Number.isInteger(value) && value > 0)) {
+        throw new Error(`Route "${route}" in ${RATE_LIMITS_CONFIG_FILE} has an invalid ${field}`);
+      }
+    }
+  }
+
+  console.log(`Loaded rate limits for ${Object.keys(routes).length} routes from ${RATE_LIMITS_CONFIG_FILE}`);
+  return routes;
+}
+
+// Limiter state for a single instance
+function createMemoryStore() {
+  const buckets = new Map();
+  const slots = new Map();
+  const owners = new Map();
+
+  return {
+    async updateBucket(key, updateFn) {
+      const now = Date.now();
+      const bucket = buckets.get(key);
+      const { tokens, result } = updateFn({
+        tokens: bucket ? bucket.tokens : null,
+        elapsedSeconds: bucket ? (now - bucket.updatedAt) / 1000 : 0
+      });
+      buckets.set(key, { tokens, updatedAt: now });
+      return result;
+    },
+
+    async acquireSlot(key, slotId, max, leaseSeconds) {
+      const now = Date.now();
+      const held = slots.get(key) || new Map();
+      for (const [id, expiresAt] of held) {
+        if (expiresAt <= now) held.delete(id);
+      }
+      if (held.size >= max) return false;
+      held.set(slotId, now + leaseSeconds * 1000);
+      slots.set(key, held);
+      return true;
+    },
+
+    async releaseSlot(key, slotId) {
+      const held = slots.get(key);
+      if (held) held.delete(slotId);
+    },
+
+    async assignSlots(taken, ownerId) {
+      owners.set(ownerId, taken);
+    },
+
+    async renewSlots(taken, leaseSeconds) {
+      let renewed = 0;
+      for (const { key, slotId } of taken) {
+        const held = slots.get(key);
+        if (held && held.has(slotId)) {
+          held.set(slotId, Date.now() + leaseSeconds * 1000);
+          renewed++;
+        }
+      }
+      return renewed;
+    },
+
+    async releaseSlotsOf(ownerId) {
+      for (const { key, slotId } of owners.get(ownerId) || []) {
+        const held = slots.get(key);
+        if (held) held.delete(slotId);
+      }
+      owners.delete(ownerId);
+    }
+  };
+}
+
+function createStore(type) {
+  if (type === 'mysql') {
+    console.log('Rate limits are shared through MySQL');
+    return {
+      updateBucket: updateRateLimitBucket,
+      acquireSlot: acquireConcurrencySlot,
+      releaseSlot: (key, slotId) => releaseConcurrencySlot(slotId),
+      assignSlots: (taken, ownerId) => assignConcurrencySlots(taken.map(slot => slot.slotId), ownerId),
+      renewSlots: (taken, leaseSeconds) => renewConcurrencySlots(taken.map(slot => slot.slotId), leaseSeconds),
+      releaseSlotsOf: releaseConcurrencySlotsOf
+    };
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${type}". Use "memory" or "mysql".`);
+  }
+  return createMemoryStore();
+}
+
+// Take a token from the bucket `key`. Returns 0 when one was available, or
+// the number of seconds until there will be one.
+async function takeToken(key, { requestsPerMinute, burst }) {
+  const capacity = burst || requestsPerMinute;
+  const refillPerSecond = requestsPerMinute / 60;
+
+  return store.updateBucket(key, ({ tokens, elapsedSeconds }) => {
+    const available = tokens === null ? capacity : Math.min(capacity, tokens + elapsedSeconds * refillPerSecond);
+    if (available >= 1) {
+      return { tokens: available - 1, result: 0 };
+    }
+    return { tokens: available, result: Math.ceil((1 - available) / refillPerSecond) };
+  });
+}
+
+function sendLimited(res, code, message, retryAfter, details) {
+  res.set('Retry-After', String(retryAfter));
+  return sendError(res, 429, code, message, { details: { ...details, retryAfter } });
+}
+
+// Middleware enforcing the limits configured for `route`. Requests over a
+// limit get a 429 with Retry-After. The concurrency slots a request takes are
+// released once its response is sent, unless the route hands them to the
+// work it starts with takeSlots(req, ownerId).
+function limitRoute(route) {
+  const limits = config[route];
+  if (!limits) {
+    return (req, res, next) => next();
+  }
+
+  return async (req, res, next) => {
+    const userId = req.user.id;
+    const slots = [];
+    const release = () => {
+      for (const { key, slotId } of slots.splice(0)) {
+        store.releaseSlot(key, slotId).catch(error => {
+          console.error(`Failed to release concurrency slot for ${key}:`, error.message);
+        });
+      }
+    };
+
+    try {
+      if (limits.requestsPerMinute) {
+        const retryAfter = await takeToken(`rate:${route}:${userId}`, limits);
+        if (retryAfter) {
+          console.log(`Rate limit of ${route} reached for ${userId}`);
+          return sendLimited(res, 'RATE_LIMITED', `Too many requests to ${route}. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`, retryAfter, {
+            limit: 'requestsPerMinute',
+            max: limits.requestsPerMinute
+          });
+        }
+      }
+
+      const concurrency = [
+        ['maxConcurrentPerUser', `slots:${route}:${userId}`, 'You have too many requests in progress'],
+        ['maxConcurrent', `slots:${route}`, 'Too many requests are in progress']
+      ];
+      for (const [limit, key, message] of concurrency) {
+        if (!limits[limit]) continue;
+        const slotId = crypto.randomUUID();
+        if (!await store.acquireSlot(key, slotId, limits[limit], SLOT_LEASE_SECONDS)) {
+          release();
+          console.log(`Concurrency limit ${limit} of ${route} reached for ${userId}`);
+          return sendLimited(res, 'CONCURRENCY_LIMITED', `${message} on ${route}. Try again when one finishes.`, CONCURRENCY_RETRY_AFTER, {
+            limit,
+            max: limits[limit]
+          });
+        }
+        slots.push({ key, slotId });
+      }
+    } catch (error) {
+      // Don't take the route down because the limiter store is unavailable
+      release();
+      console.error(`Error checking rate limits of ${route}, allowing the request:`, error.message);
+      return next();
+    }
+
+    if (slots.length) {
+      req.concurrencySlots = slots;
+      res.on('close', () => {
+        if (req.concurrencySlots) release();
+      });
+    }
+    next();
+  };
+}
+
+function stopRenewing(ownerId) {
+  clearInterval(renewals.get(ownerId));
+  renewals.delete(ownerId);
+}
+
+// Free the concurrency slots held by the job or prediction `ownerId`. Any
+// instance can do this once the work has finished.
+function releaseSlotsOf(ownerId) {
+  stopRenewing(ownerId);
+  return store.releaseSlotsOf(ownerId).catch(error => {
+    console.error(`Failed to release concurrency slots of ${ownerId}:`, error.message);
+  });
+}
+
+// Take over the concurrency slots of a request for the job or prediction
+// `ownerId`, so they stay held after the response is sent. Their lease is
+// renewed until they are released, here with the returned function or by
+// any instance with releaseSlotsOf(ownerId).
+function takeSlots(req, ownerId) {
+  const taken = req.concurrencySlots || [];
+  req.concurrencySlots = null;
+  if (!taken.length) {
+    return () => {};
+  }
+
+  store.assignSlots(taken, ownerId).catch(error => {
+    console.error(`Failed to hand concurrency slots to ${ownerId}:`, error.message);
+  });
+
+  const renew = async () => {
+    try {
+      // None left means another instance released them
+      if (!await store.renewSlots(taken, SLOT_LEASE_SECONDS)) {
+        stopRenewing(ownerId);
+      }
+    } catch (error) {
+      console.error(`Failed to renew concurrency slots of ${ownerId}:`, error.message);
+    }
+  };
+  renewals.set(ownerId, setInterval(renew, SLOT_RENEW_INTERVAL).unref());
+
+  return () => releaseSlotsOf(ownerId);
+}
+
+module.exports = {
+  limitRoute,
+  takeSlots,
+  releaseSlotsOf
+};
@@ -0,0 +1,94 @@
+const { getUserRoles, saveUserRole, deleteUserRole } = require('./db');
+
+// Roles from least to most access. Each role may do everything the roles
+// before it may:
+//   viewer  - browse models, their gallery and collections shared with them
+//   creator - also generate, upscale and convert images, upload files and
+//             save to the gallery
+//   admin   - also manage models and roles, read every user's logs and
+//             manage or purge other users' data
+const ROLES = ['viewer', 'creator', 'admin'];
+
+// Users that are admins whatever else says, so a fresh install has someone
+// who can assign roles
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+const DEFAULT_ROLE = isValidRole(process.env.DEFAULT_USER_ROLE) ? process.env.DEFAULT_USER_ROLE : 'creator';
+if (process.env.DEFAULT_USER_ROLE && process.env.DEFAULT_USER_ROLE !== DEFAULT_ROLE) {
+  console.error(`Ignoring invalid DEFAULT_USER_ROLE: ${process.env.DEFAULT_USER_ROLE}`);
+}
+
+// How often each instance re-reads role assignments from the database
+const ROLE_REFRESH_INTERVAL = 60 * 1000;
+
+let assignments = {};
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+async function refreshRoleAssignments() {
+  try {
+    assignments = await getUserRoles();
+  } catch (error) {
+    console.error('Error loading role assignments:', error.message);
+  }
+}
+
+// Role of an authenticated user. ADMIN_USER_IDS come first, then the role an
+// admin assigned in the user_roles table, then the `role` the user's token
+// was issued with, then DEFAULT_USER_ROLE.
+function resolveRole(user) {
+  if (ADMIN_USER_IDS.includes(user.id)) return 'admin';
+  if (assignments[user.id]) return assignments[user.id].role;
+  if (isValidRole(user.role)) return user.role;
+  return DEFAULT_ROLE;
+}
+
+// Whether `user` has `role` or a more powerful one
+function hasRole(user, role) {
+  return Boolean(user && ROLES.indexOf(user.role) >= ROLES.indexOf(role));
+}
+
+// Role assignments made by admins, keyed by user ID
+function listRoleAssignments() {
+  return Object.entries(assignments).map(([userId, assignment]) => ({ userId, ...assignment }));
+}
+
+async function assignRole(userId, role, userInfo) {
+  if (!isValidRole(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  await saveUserRole(userId, role, userInfo.id);
+  await refreshRoleAssignments();
+  console.log(`User ${userId} given the ${role} role by ${userInfo.id}`);
+  return { userId, ...assignments[userId] };
+}
+
+// Remove an assigned role, so the user falls back to their token or the default role
+async function removeRole(userId, userInfo) {
+  const removed = await deleteUserRole(userId);
+  await refreshRoleAssignments();
+  if (removed) {
+    console.log(`Role of user ${userId} removed by ${userInfo.id}`);
+  }
+  return removed > 0;
+}
+
+setInterval(refreshRoleAssignments, ROLE_REFRESH_INTERVAL).unref();
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  isValidRole,
+  refreshRoleAssignments,
+  resolveRole,
+  hasRole,
+  listRoleAssignments,
+  assignRole,
+  removeRole
+};
@@ -2,12 +2,101 @@ const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
-const Replicate = require('replicate');
-const fs = require('fs');
-const fsPromises = require('fs').promises;
 const axios = require('axios');
+const crypto = require('crypto');
+const sharp = require('sharp');
 require('dotenv').config();
-const { pool, initializeDatabase, logApiCall, getUserLogs, updateDatabaseSchema } = require('./db');
+const {
+  pool,
+  initializeDatabase,
+  logApiCall,
+  getUserLogs,
+  updateDatabaseSchema,
+  getPrediction,
+  getPredictionByJobId,
+  getPredictionsByStatus,
+  claimPredictionBilling,
+  updatePrediction,
+  saveThumbnail,
+  getThumbnails,
+  getThumbnail,
+  findThumbnailByContentHash,
+  isThumbnailFileInUse,
+  listThumbnails,
+  thumbnailSortColumns,
+  thumbnailSortKey,
+  recordThumbnailUse,
+  updateThumbnailMetadata,
+  updateThumbnailUrls,
+  updateThumbnailDerivatives,
+  trashThumbnail,
+  restoreThumbnail,
+  listTrashedThumbnails,
+  deleteThumbnail,
+  saveTrashedFile,
+  getTrashedFile,
+  listTrashedFiles,
+  deleteTrashedFile,
+  recordUploadOwner,
+  isUploadOwner,
+  removeUploadOwner,
+  deleteUploadOwners,
+  getCollection,
+  listCollections,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  getCollectionItems,
+  addCollectionItems,
+  removeCollectionItem,
+  reorderCollectionItems,
+  setCollectionShares
+} = require('./db');
+
+const {
+  enqueueJob,
+  cancelJob,
+  isJobFinished,
+  getJob,
+  getQueuePosition,
+  getPendingJobIds,
+  serializeJob,
+  jobEvents
+} = require('./job-queue');
+const { publishPredictionEvent, subscribeToPrediction, reportProviderUpdate, forgetPredictionProgress } = require('./prediction-events');
+const { createProvider } = require('./providers');
+const { getModel, listModels, refreshModelOverrides, pinModelVersion, unpinModelVersion } = require('./model-catalog');
+const { usageFor, reserveQuota, getUsageReport } = require('./quotas');
+const { limitRoute, takeSlots, releaseSlotsOf } = require('./rate-limits');
+const { validateModelInput, expectedOutputCount, imageTargets } = require('./input-schema');
+const { ApiError, sendError, sendValidationError } = require('./errors');
+const { DERIVATIVE_SIZES, DERIVATIVE_FORMATS, createDerivatives, removeDerivatives } = require('./image-derivatives');
+const { createStorage, contentTypeFor, moveFile, contentHash, putContentAddressed, createMulterStorage } = require('./storage');
+const { createUrlSigner } = require('./signed-urls');
+const { createPublicUrlResolver } = require('./public-url');
+const { createAuthenticator } = require('./auth');
+const {
+  ROLES,
+  DEFAULT_ROLE,
+  isValidRole,
+  refreshRoleAssignments,
+  resolveRole,
+  hasRole,
+  listRoleAssignments,
+  assignRole,
+  removeRole
+} = require('./roles');
+const {
+  SCOPES,
+  apiKeyFromRequest,
+  authenticateApiKey,
+  validateApiKeyFields,
+  listApiKeys,
+  getApiKey,
+  issueApiKey,
+  rotateApiKey,
+  revokeApiKey
+} = require('./api-keys');
 
 // Log environment variables (excluding sensitive data)
 console.log('Environment variables:', {
@@ -28,11 +117,6 @@ console.log('Starting server with configuration:', {
   nodeEnv: process.env.NODE_ENV
 });
 
-// Initialize Replicate client
-const replicate = new Replicate({
-  auth: process.env.REPLICATE_API_TOKEN,
-});
-
 // Determine the base directory more reliably - works from any location
 const BASE_DIR = path.resolve(__dirname, '..');
 console.log(`Base directory: ${BASE_DIR}`);
@@ -42,60 +126,76 @@ const isUpsun = process.env.PLATFORM_APPLICATION_NAME || process.env.PLATFORM_AP
 
 // Constants - use tmp directory on Upsun, local directories elsewhere
 const DATA_DIR = isUpsun ? '/tmp' : path.join(BASE_DIR, 'data');
-const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
 const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour in milliseconds
-const THUMBNAILS_FILE = path.join(DATA_DIR, 'thumbnails.json');
-const THUMBNAIL_DIR = path.join(DATA_DIR, 'thumbnails');
 
-console.log(`Data directory: ${DATA_DIR}`);
-console.log(`Uploads directory: ${UPLOADS_DIR}`);
-console.log(`Thumbnails directory: ${THUMBNAIL_DIR}`);
+// Folders in the storage backend
+const UPLOADS_PREFIX = 'uploads/';
+const THUMBNAILS_PREFIX = 'thumbnails/';
+// Deleted uploads wait in the trash folder until they are restored or purged
+const TRASH_PREFIX = 'trash/';
+// Days a deleted gallery entry or upload can be restored before it is purged
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Input images referenced by generation recipes; kept apart from uploads,
+// which are cleaned up after an hour
+const RECIPE_IMAGE_PREFIX = 'recipe-images/';
+// Uploads and gallery images are named by the SHA-256 of their contents
+const CONTENT_ADDRESSED_FILENAME = /^[0-9a-f]{64}\.[a-z0-9]+$/;
+
+// Folders clients may fetch files from through /files/<folder>/<name>
+const PUBLIC_STORAGE_FOLDERS = ['uploads', 'thumbnails'];
+// Older routes for stored files, and the folders they serve
+const STORED_FILE_ROUTES = { uploads: UPLOADS_PREFIX, ThumbnailImages: THUMBNAILS_PREFIX };
+
+// Stored files are only served through signed URLs. Links returned by the
+// API are issued to the requesting user and only open for them, so they
+// are kept short lived (SIGNED_URL_TTL_SECONDS, default 15 minutes); share
+// links work for anyone and are minted on purpose for days.
+const SIGNED_URL_TTL_SECONDS = Number(process.env.SIGNED_URL_TTL_SECONDS) || 15 * 60;
+const SHARE_LINK_DEFAULT_DAYS = 7;
+const SHARE_LINK_MAX_DAYS = 30;
+
+const MOCK_OUTPUT_DIR = path.join(DATA_DIR, 'mock-outputs');
+
+// Public base URL for links the API returns (PUBLIC_BASE_URL, PLATFORM_ROUTES
+// or the request's host)
+const publicUrls = createPublicUrlResolver({ port: PORT });
+
+// Initialize the image generation provider (IMAGE_PROVIDER=replicate|mock)
+const provider = createProvider(process.env.IMAGE_PROVIDER || 'replicate', {
+  outputDir: MOCK_OUTPUT_DIR,
+  baseUrl: process.env.MOCK_PROVIDER_BASE_URL || `${publicUrls.resolve()}/mock-outputs`
+});
 
-// Ensure upload directory exists
-function ensureUploadDirectory() {
-  if (!fs.existsSync(UPLOADS_DIR)) {
-    try {
-      fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-      console.log('Created uploads directory:', UPLOADS_DIR);
-    } catch (error) {
-      console.error('Failed to create uploads directory:', error);
-      throw error;
+// Uploads, gallery images and recipe images (STORAGE_BACKEND=local|s3)
+const fileStorage = createStorage(process.env.STORAGE_BACKEND || 'local', {
+  local: {
+    root: process.env.LOCAL_STORAGE_DIR || DATA_DIR,
+    // Links to local files point at this server's /files route
+    signUrl: (key, { baseUrl = publicUrls.resolve(), ...options }) => {
+      const query = new URLSearchParams(urlSigner.sign(storedFilePath(key), { userId: null, ...options }));
+      return `${baseUrl}${storedFilePath(key)}?${query}`;
     }
   }
-}
+});
 
-// Basic initialization for uploads
-try {
-  ensureUploadDirectory();
-} catch (error) {
-  console.error('Error during uploads directory initialization:', error);
-  // Continue execution even if this fails
+if (!process.env.SIGNED_URL_SECRET) {
+  console.warn('SIGNED_URL_SECRET is not set. Using a random secret, so file links stop working when the server restarts.');
 }
+const urlSigner = createUrlSigner({
+  secret: process.env.SIGNED_URL_SECRET || crypto.randomBytes(32).toString('hex'),
+  expiresIn: SIGNED_URL_TTL_SECONDS
+});
 
-async function ensureThumbnailDirectory() {
-  try {
-    if (!fs.existsSync(THUMBNAIL_DIR)) {
-      await fsPromises.mkdir(THUMBNAIL_DIR, { recursive: true });
-      console.log('Created thumbnails directory:', THUMBNAIL_DIR);
-    }
-    return THUMBNAIL_DIR;
-  } catch (error) {
-    console.error('Error creating thumbnail directory:', error);
-    throw error;
-  }
+console.log(`Data directory: ${DATA_DIR}`);
+if (fileStorage.root) {
+  console.log(`Storage directory: ${fileStorage.root}`);
 }
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, UPLOADS_DIR);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, uniqueSuffix + ext);
-  }
-});
+// Configure multer for file uploads. Files are named by their SHA-256, so
+// uploading the same image again reuses the stored file. It is rewritten
+// anyway so the hourly uploads cleanup counts from the latest upload.
+const storage = createMulterStorage(fileStorage, UPLOADS_PREFIX, { refresh: true });
 
 const upload = multer({
   storage: storage,
@@ -107,7 +207,7 @@ const upload = multer({
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only JPEG, PNG and WebP are allowed.'), false);
+      cb(new ApiError(400, 'INVALID_FILE_TYPE', 'Invalid file type. Only JPEG, PNG and WebP are allowed.'), false);
     }
   }
 });
@@ -115,8 +215,8 @@ const upload = multer({
 // Middleware
 app.use(cors({
   origin: ['http://localhost:5600', 'https://frontify-artifacts.com', 'https://developer-sandbox-skoda.frontify.com'],
-  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-user-id', 'x-user-name', 'x-user-email'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-user-id', 'x-user-name', 'x-user-email', 'x-user-role', 'x-auth-expires', 'x-auth-signature', 'x-api-key'],
   credentials: true,
   preflightContinue: false,
   optionsSuccessStatus: 204
@@ -125,11 +225,136 @@ app.use(cors({
 // Handle preflight requests
 app.options('*', cors());
 
-app.use(express.json({ limit: '10mb' }));
-app.use('/uploads', express.static(UPLOADS_DIR));
+// Keep the raw body as well, since webhook signatures are computed over it
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer.toString('utf8');
+  }
+}));
+
+// Every request must come from a verified user, except the routes below
+app.use(authenticateRequest);
+
+// Path a stored file is served at. Signatures cover this path, so a link
+// signed for it also works on the older /uploads and /ThumbnailImages routes.
+function storedFilePath(key) {
+  return `/files/${key.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+// Storage key of a file served by this app, from any of its URLs (signed or
+// not), or null if the URL doesn't point at a stored file
+function storedFileKeyFromUrl(url) {
+  try {
+    const { pathname } = new URL(url, 'http://localhost');
+    const match = pathname.match(/^\/(?:files\/([^/]+)|(uploads|ThumbnailImages))\/([^/]+)$/);
+    if (!match) return null;
+
+    const prefix = match[1] ? (PUBLIC_STORAGE_FOLDERS.includes(match[1]) ? `${match[1]}/` : null) : STORED_FILE_ROUTES[match[2]];
+    return prefix ? `${prefix}${path.basename(decodeURIComponent(match[3]))}` : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Signed URL of `pathname` on this server, issued to the requesting user.
+// Pass `userId: null` and `expiresIn` (seconds) for a share link.
+function signedUrl(req, pathname, options = {}) {
+  const query = new URLSearchParams(urlSigner.sign(pathname, { userId: req.user.id, ...options }));
+  return `${publicUrls.resolve(req)}${pathname}?${query}`;
+}
+
+// Signed version of a stored file's URL. Other URLs are returned unchanged.
+function signStoredFileUrl(req, url) {
+  const key = url && storedFileKeyFromUrl(url);
+  return key ? signedUrl(req, storedFilePath(key)) : url;
+}
+
+const SIGNATURE_ERRORS = {
+  missing: [403, 'SIGNATURE_REQUIRED', 'This link must be signed'],
+  invalid: [403, 'INVALID_SIGNATURE', 'This link is not valid'],
+  expired: [403, 'LINK_EXPIRED', 'This link has expired'],
+  unauthenticated: [401, 'AUTH_REQUIRED', 'This link only opens for the user it was issued to. Send their credentials, or ?access_token= for <img> tags.'],
+  wrong_user: [403, 'FORBIDDEN', 'This link was issued to another user']
+};
+
+// Check the signature of a request for `pathname`. Sends an error and
+// returns null if it isn't valid. Links issued to a user only open for
+// requests signed in as that user; share links need no credentials.
+function requireSignature(req, res, pathname) {
+  const result = urlSigner.verify(pathname, req.query, { userId: req.user ? req.user.id : null });
+
+  if (!result.valid) {
+    const [status, code, message] = SIGNATURE_ERRORS[result.reason];
+    sendError(res, status, code, message);
+    return null;
+  }
+  return result;
+}
+
+// Responses to signed requests may be cached until the link expires
+function setSignedCacheControl(res, signature) {
+  const maxAge = Math.max(0, Math.min(86400, Math.floor((signature.expiresAt - Date.now()) / 1000)));
+  res.set('Cache-Control', `private, max-age=${maxAge}`);
+}
+
+// Reply to a signed request with a stored file. Backends with links of
+// their own (S3 presigned GETs) are redirected to, so the file doesn't pass
+// through this server; local files are sent from here. Returns false,
+// without replying, if there is no such file.
+async function sendStoredFile(res, key, signature, contentType = contentTypeFor(key)) {
+  if (fileStorage.name !== 'local') {
+    if (!await fileStorage.stat(key)) return false;
+    // The redirect is followed straight away, so its link is short lived
+    const expiresIn = Math.max(1, Math.min(SIGNED_URL_TTL_SECONDS, Math.floor((signature.expiresAt - Date.now()) / 1000)));
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, await fileStorage.signedUrl(key, { expiresIn }));
+    return true;
+  }
+
+  const body = await fileStorage.get(key);
+  if (!body) return false;
+  res.type(contentType);
+  setSignedCacheControl(res, signature);
+  res.send(body);
+  return true;
+}
+
+// Serve a stored file from `folder`, or the folder named in the URL when
+// it is one of PUBLIC_STORAGE_FOLDERS. Requests must be signed.
+function serveStoredFile(folder = null) {
+  return async (req, res, next) => {
+    try {
+      const prefix = folder || (PUBLIC_STORAGE_FOLDERS.includes(req.params.folder) ? `${req.params.folder}/` : null);
+      if (!prefix) {
+        return sendError(res, 404, 'FILE_NOT_FOUND', 'File not found');
+      }
+
+      const key = `${prefix}${path.basename(req.params.name)}`;
+      const signature = requireSignature(req, res, storedFilePath(key));
+      if (!signature) return;
+
+      if (!await sendStoredFile(res, key, signature)) {
+        sendError(res, 404, 'FILE_NOT_FOUND', 'File not found');
+      }
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+app.get('/files/:folder/:name', serveStoredFile());
+app.get('/uploads/:name', serveStoredFile(UPLOADS_PREFIX));
+
+// Serve placeholder outputs rendered by the local mock provider
+if (provider.name === 'mock') {
+  app.use('/mock-outputs', express.static(MOCK_OUTPUT_DIR));
+}
 
-// Add middleware to the app
-app.use(getUserFromRequest);
+// Health check for load balancers and uptime monitors
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
 
 // Test database connection endpoint
 app.get('/api/test-db', async (req, res) => {
@@ -144,137 +369,12 @@ app.get('/api/test-db', async (req, res) => {
     });
   } catch (error) {
     console.error('Database connection test failed:', error);
-    res.status(500).json({ 
-      status: 'error', 
-      message: 'Database connection failed',
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    sendError(res, 500, 'DATABASE_UNAVAILABLE', 'Database connection failed', { details: error.message });
   }
 });
 
-// Constants and configurations
-const ASPECT_RATIO_MAP = {
-  square: "1:1",
-  portrait: "3:4",
-  landscape: "4:3",
-  widescreen: "16:9",
-  ultrawide: "9:16"
-};
-
-// Supported aspect ratios for Flux models
-const VALID_ASPECT_RATIOS = ["1:1", "16:9", "3:2", "2:3", "4:5", "5:4", "9:16", "3:4", "4:3", "custom"];
-
-// Helper function to validate and convert aspect ratio
-function getValidAspectRatio(rawAspectRatio) {
-  // If it's already a valid format, return it directly
-  if (VALID_ASPECT_RATIOS.includes(rawAspectRatio)) {
-    return rawAspectRatio;
-  }
-  
-  // Convert from named format (e.g., "square") to ratio format (e.g., "1:1")
-  const mappedRatio = ASPECT_RATIO_MAP[rawAspectRatio];
-  
-  // Return the mapped value or default to "1:1" if not found
-  return mappedRatio && VALID_ASPECT_RATIOS.includes(mappedRatio) 
-    ? mappedRatio 
-    : "1:1";
-}
-
-// Model configuration - only using Replicate approved models
-const MODELS = {
-  standard: {
-    type: 'model',
-    model: 'black-forest-labs/flux-1.1-pro',
-    version: 'b744535cf2bf3c4cf2130d0cc75cd4795b280215f8275b041015fb4f9917cbcd',
-    displayName: 'Flux 1.1 Pro',
-    description: 'Standard image generation with high quality results'
-  },
-  edge: {
-    type: 'model',
-    model: 'black-forest-labs/flux-canny-pro',
-    version: 'eb672df541b42b50cb3b397d202de02a52210e6363fb1d8bc9e57fab089cee9d',
-    displayName: 'Flux Canny Pro',
-    description: 'Edge-based image generation for detailed control'
-  },
-  depth: {
-    type: 'model',
-    model: 'black-forest-labs/flux-depth-pro',
-    version: '9964ef120f01973d86cb9121d5b6ec94a9f1b8e386ec86d4353ae5f7bc83ae24',
-    displayName: 'Flux Depth Pro',
-    description: 'Depth-aware image generation for 3D-like results'
-  },
-  character: {
-    type: 'version',
-    version: '8baa7ef2255075b46f4d91cd238c21d31181b3e6a864463f967960bb0112525b',
-    displayName: 'Flux Pulid',
-    description: 'Character-focused image generation'
-  }
-};
-
-// Add Škoda Illustration model configuration
-const SKODA_MODEL = {
-  version: "f6e6805f4d32f8522f9af09f3efdbeeafc199621f9b15e3ade4ac9cef01c2af8"
-};
-
-// Helper to calculate dimensions based on aspect ratio
-function calculateDimensions(aspectRatio) {
-  // Default to 1:1 if no aspect ratio provided
-  if (!aspectRatio) {
-    return { width: 1024, height: 1024 };
-  }
-  
-  let width, height;
-  const BASE_SIZE = 1024;
-  
-  // Check if we're using a string with ratio format "w:h"
-  if (typeof aspectRatio === 'string' && aspectRatio.includes(':')) {
-    const [w, h] = aspectRatio.split(':').map(num => parseFloat(num));
-    
-    if (w >= h) {
-      // Landscape or square
-      width = BASE_SIZE;
-      height = Math.round((h / w) * BASE_SIZE);
-    } else {
-      // Portrait
-      height = BASE_SIZE;
-      width = Math.round((w / h) * BASE_SIZE);
-    }
-  } else {
-    // Use known aspect ratios
-    switch (aspectRatio) {
-      case 'square':
-        width = 1024;
-        height = 1024;
-        break;
-      case 'portrait':
-        width = 768;
-        height = 1024;
-        break;
-      case 'landscape':
-        width = 1024;
-        height = 768;
-        break;
-      case 'widescreen':
-        width = 1024;
-        height = 576;
-        break;
-      case 'ultrawide':
-        width = 1024;
-        height = 432;
-        break;
-      default:
-        width = 1024;
-        height = 1024;
-    }
-  }
-  
-  // Ensure dimensions are multiples of 8 (required by some models)
-  width = Math.floor(width / 8) * 8;
-  height = Math.floor(height / 8) * 8;
-  
-  return { width, height };
-}
+// Model configuration, supported aspect ratios and input schemas live in
+// config/models.json (see model-catalog.js and input-schema.js)
 
 // Helper to sanitize prompts
 function sanitizePrompt(prompt) {
@@ -309,19 +409,17 @@ function sanitizePrompt(prompt) {
   return cleaned;
 }
 
-// Clean up old files (older than 1 hour)
+// Clean up old uploads (older than 1 hour)
 const cleanupOldFiles = async () => {
   try {
-    const files = await fsPromises.readdir(UPLOADS_DIR);
+    const files = await fileStorage.list(UPLOADS_PREFIX);
     const now = Date.now();
     const ONE_HOUR = 60 * 60 * 1000;
 
     for (const file of files) {
-      const filePath = path.join(UPLOADS_DIR, file);
-      const stats = await fsPromises.stat(filePath);
-      if (now - stats.mtimeMs > ONE_HOUR) {
-        await fsPromises.unlink(filePath);
-        console.log(`Deleted old file: ${file}`);
+      if (now - new Date(file.modifiedAt).getTime() > ONE_HOUR) {
+        await fileStorage.delete(file.key);
+        console.log(`Deleted old file: ${file.key}`);
       }
     }
   } catch (error) {
@@ -332,155 +430,6 @@ const cleanupOldFiles = async () => {
 // Run cleanup every hour
 setInterval(cleanupOldFiles, CLEANUP_INTERVAL);
 
-// Upload local file to image hosting service
-async function uploadToImageHost(localFilePath) {
-  try {
-    console.log(`Uploading local file to image hosting: ${localFilePath}`);
-    
-    // Read the file as base64
-    const fileBuffer = await fsPromises.readFile(localFilePath);
-    const base64Image = fileBuffer.toString('base64');
-    
-    // Try a different approach with ImgBB that forces a specific filename format
-    try {
-      console.log("Uploading to ImgBB with enhanced reliability...");
-      
-      // Generate a more reliable filename
-      const timestamp = Date.now();
-      const randomStr = Math.random().toString(36).substring(2, 8);
-      const safeFilename = `image_${timestamp}_${randomStr}`;
-      
-      // Create FormData-like payload for upload with the name parameter
-      const formData = new URLSearchParams();
-      formData.append('image', base64Image);
-      formData.append('name', safeFilename); // Specify a safe filename
-      
-      const imgbbApiKey = process.env.IMGBB_API_KEY || '58b111dccac952a08f78f8e8c1b2b0e3';
-      
-      const response = await axios.post(`https://api.imgbb.com/1/upload?key=${imgbbApiKey}`, formData, {
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        timeout: 15000 // 15 second timeout
-      });
-      
-      if (response.data && response.data.data) {
-        // Use the url property which is more reliable than display_url
-        const imageUrl = response.data.data.url;
-        console.log(`Successfully uploaded to ImgBB. URL: ${imageUrl}`);
-        
-        // Verify URL validity
-        try {
-          const verifyResponse = await axios.head(imageUrl, { timeout: 3000 });
-          if (verifyResponse.status >= 200 && verifyResponse.status < 300) {
-            console.log('URL verification successful');
-            return imageUrl;
-          } else {
-            console.warn('URL verification failed with status:', verifyResponse.status);
-            // Fall through to try direct image upload
-          }
-        } catch (verifyError) {
-          console.warn('URL verification failed:', verifyError.message);
-          // Fall through to try direct image upload
-        }
-      } else {
-        console.error('ImgBB response:', JSON.stringify(response.data));
-      }
-    } catch (imgbbError) {
-      console.error('ImgBB upload failed:', imgbbError.message);
-    }
-    
-    // If we reach here, try alternative image hosting services
-    try {
-      console.log("Trying alternative image hosting...");
-      
-      // Try imgcdn.dev as an alternative
-      const formData = new FormData();
-      formData.append('file', fileBuffer, {
-        filename: `image_${Date.now()}.jpg`,
-        contentType: 'image/jpeg'
-      });
-      
-      const imgcdnResponse = await axios.post('https://imgcdn.dev/upload', formData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-        timeout: 15000
-      });
-      
-      if (imgcdnResponse.data && imgcdnResponse.data.url) {
-        const imageUrl = imgcdnResponse.data.url;
-        console.log(`Successfully uploaded to alternative host. URL: ${imageUrl}`);
-        return imageUrl;
-      }
-    } catch (altError) {
-      console.error('Alternative image hosting failed:', altError.message);
-    }
-    
-    // Last resort: Use base64 for standard model and fail for other models
-    console.log("Falling back to direct image data for compatible models...");
-    
-    return {
-      isBase64: true,
-      data: `data:image/jpeg;base64,${base64Image}`
-    };
-  } catch (error) {
-    console.error('All image upload methods failed:', error.message);
-    throw new Error(`Failed to upload image: ${error.message}`);
-  }
-}
-
-// Helper function to get remotely accessible image URL
-async function getAccessibleImageUrl(localImagePath) {
-  // First try a direct upload
-  try {
-    const imageUrl = await uploadToImageHost(localImagePath);
-    
-    // If we got a string (URL), verify it's accessible
-    if (typeof imageUrl === 'string') {
-      try {
-        const response = await axios.head(imageUrl, { timeout: 3000 });
-        if (response.status >= 200 && response.status < 300) {
-          console.log(`Verified accessible image URL: ${imageUrl}`);
-          return imageUrl;
-        }
-      } catch (error) {
-        console.warn(`Image URL verification failed: ${error.message}`);
-      }
-    }
-    
-    // If URL verification failed, return the base64 data if available
-    if (typeof imageUrl === 'object' && imageUrl.isBase64) {
-      return imageUrl;
-    }
-    
-    // If we reached here, the upload was successful but URL is problematic
-    // Try one more alternative approach
-    try {
-      console.log("Using public cloud storage as fallback...");
-      
-      // Create a temporary file with more reliable extension
-      const tempFilename = `reliable_image_${Date.now()}.jpg`;
-      const tempFilePath = path.join(UPLOADS_DIR, tempFilename);
-      
-      // Copy the file with the new name
-      await fsPromises.copyFile(localImagePath, tempFilePath);
-      
-      // Try another upload method here (could be any other service)
-      const secondAttemptUrl = await uploadToImageHost(tempFilePath);
-      
-      // Clean up the temp file
-      await fsPromises.unlink(tempFilePath);
-      
-      // Return the result of the second attempt
-      return secondAttemptUrl;
-    } catch (fallbackError) {
-      console.error("Fallback image hosting failed:", fallbackError.message);
-      // Return the original result even though verification failed
-      return imageUrl;
-    }
-  } catch (uploadError) {
-    console.error("Failed to get accessible image URL:", uploadError.message);
-    throw uploadError;
-  }
-}
-
 // Helper function to validate URL
 function isValidImageUrl(url) {
   if (!url) return false;
@@ -516,39 +465,46 @@ async function isImageAccessible(url) {
   }
 }
 
+// Read the real size of a generated image. Returns null when the file can't be
+// fetched or decoded, so callers can fall back to the requested size.
+async function readImageDimensions(url) {
+  try {
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000 });
+    const { width, height } = await sharp(Buffer.from(response.data)).metadata();
+    return width && height ? { width, height } : null;
+  } catch (error) {
+    console.warn(`Could not read image dimensions from ${url}: ${error.message}`);
+    return null;
+  }
+}
+
 // Validate API token on startup
 function validateApiToken() {
-  if (!process.env.REPLICATE_API_TOKEN) {
+  if (provider.requiresApiToken && !process.env.REPLICATE_API_TOKEN) {
     console.error('ERROR: REPLICATE_API_TOKEN is required in .env file');
     process.exit(1);
   }
   
   // Log available models
   console.log('Configured models:');
-  Object.keys(MODELS).forEach(key => {
-    console.log(`- ${key}: ${MODELS[key].displayName} (${MODELS[key].version})`);
+  listModels().forEach(model => {
+    console.log(`- ${model.key}: ${model.displayName} (${model.version})${model.pinned ? ' [pinned]' : ''}`);
   });
 }
 
-// Helper function to create a data URI for direct use with Replicate
-async function createDataUri(localFilePath) {
+// Helper function to create a data URI from a stored file for direct use with Replicate
+async function createDataUri(key) {
   try {
-    console.log(`Creating data URI from: ${localFilePath}`);
+    console.log(`Creating data URI from: ${key}`);
     
     // Read the file as binary data
-    const fileBuffer = await fsPromises.readFile(localFilePath);
+    const fileBuffer = await fileStorage.get(key);
+    if (!fileBuffer) {
+      throw new Error(`${key} not found in storage`);
+    }
     
     // Get file mime type based on extension
-    const ext = path.extname(localFilePath).toLowerCase();
-    let mimeType = 'application/octet-stream'; // Default
-    
-    if (ext === '.jpg' || ext === '.jpeg') {
-      mimeType = 'image/jpeg';
-    } else if (ext === '.png') {
-      mimeType = 'image/png';
-    } else if (ext === '.webp') {
-      mimeType = 'image/webp';
-    }
+    const mimeType = contentTypeFor(key);
     
     // Create data URI
     const base64Data = fileBuffer.toString('base64');
@@ -562,58 +518,239 @@ async function createDataUri(localFilePath) {
   }
 }
 
-// Helper function to upload an image to Replicate's CDN (falling back to data URI approach)
-async function uploadToReplicateCDN(filePath) {
-  try {
-    console.log(`Preparing data URI from: ${filePath}`);
-    
-    // Read the file as buffer
-    const fileBuffer = await fsPromises.readFile(filePath);
-    
-    // Get file mime type based on extension
-    const ext = path.extname(filePath).toLowerCase();
-    let mimeType = 'application/octet-stream'; // Default
-    
-    if (ext === '.jpg' || ext === '.jpeg') {
-      mimeType = 'image/jpeg';
-    } else if (ext === '.png') {
-      mimeType = 'image/png';
-    } else if (ext === '.webp') {
-      mimeType = 'image/webp';
+// Replace image inputs that point at our own uploads with data URIs, since
+// the provider cannot reach this server. Returns field errors for missing files.
+async function resolveImageInputs(req, model, input) {
+  const errors = [];
+
+  for (const { field, target } of imageTargets(model)) {
+    const imageUrl = input[target];
+    if (typeof imageUrl !== 'string') continue;
+
+    // Check if the image is from our local server
+    if (publicUrls.isLocalUrl(imageUrl, req)) {
+      const key = storedFileKeyFromUrl(imageUrl);
+
+      if (!key || !await fileStorage.stat(key)) {
+        console.error(`Image file not found in storage: ${key || imageUrl}`);
+        errors.push({ field, code: 'image_not_found', message: `${field} file not found` });
+        continue;
+      }
+
+      try {
+        input[target] = await createDataUri(key);
+        console.log(`Prepared ${field} as data URI`);
+      } catch (error) {
+        errors.push({ field, code: 'image_unreadable', message: `Failed to read ${field} file` });
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Keep a copy of each input image so the generation can be replayed later.
+// Images are stored by content hash; remote URLs are referenced as they are.
+// Returns [{ field, target, ref }] for the model's image inputs that were set.
+async function storeRecipeImages(req, model, values) {
+  const refs = [];
+
+  for (const { field, target } of imageTargets(model)) {
+    const value = values[field];
+    if (typeof value !== 'string') continue;
+
+    let buffer = null;
+    let ext = '.png';
+    const dataUriMatch = value.match(/^data:image\/(\w+);base64,(.+)$/);
+    if (dataUriMatch) {
+      buffer = Buffer.from(dataUriMatch[2], 'base64');
+      ext = `.${dataUriMatch[1] === 'jpeg' ? 'jpg' : dataUriMatch[1]}`;
+    } else if (publicUrls.isLocalUrl(value, req)) {
+      const key = storedFileKeyFromUrl(value);
+      buffer = key && await fileStorage.get(key);
+      if (!buffer) {
+        throw new Error(`Stored file ${key || value} not found`);
+      }
+      ext = path.extname(key).toLowerCase() || ext;
+    }
+
+    if (!buffer) {
+      refs.push({ field, target, ref: value });
+      continue;
+    }
+
+    const { key } = await putContentAddressed(fileStorage, RECIPE_IMAGE_PREFIX, buffer, {
+      extension: ext,
+      contentType: contentTypeFor(ext)
+    });
+    refs.push({ field, target, ref: key });
+  }
+
+  return refs;
+}
+
+// Turn a recipe's image references back into values the model accepts
+async function loadRecipeImages(recipe) {
+  const images = {};
+
+  for (const [field, ref] of Object.entries(recipe.images || {})) {
+    if (typeof ref === 'string' && ref.startsWith(RECIPE_IMAGE_PREFIX)) {
+      images[field] = await createDataUri(`${RECIPE_IMAGE_PREFIX}${path.basename(ref)}`);
+    } else {
+      images[field] = ref;
+    }
+  }
+
+  return images;
+}
+
+// Everything needed to run a generation again: engine, exact model version,
+// the accepted request values, the full model input (images replaced by
+// references) and the seed, which is updated once the provider reports it
+function buildRecipe(model, endpoint, { values, input, imageRefs, replayOf = null }) {
+  const recipeInput = { ...input };
+  const recipeValues = { ...values };
+  const images = {};
+  for (const { field, target, ref } of imageRefs) {
+    recipeInput[target] = ref;
+    recipeValues[field] = ref;
+    images[field] = ref;
+  }
+  delete recipeInput.webhook;
+
+  return {
+    engine: model.key,
+    version: model.version,
+    endpoint,
+    parameters: recipeValues,
+    input: recipeInput,
+    images,
+    seed: Number.isInteger(input.seed) ? input.seed : null,
+    replayOf,
+    createdAt: new Date().toISOString()
+  };
+}
+
+// Recipe updated with the seed the provider reports for a finished prediction
+function recipeWithSeed(recipe, seed) {
+  if (!recipe || seed === null || seed === undefined) return recipe;
+  return { ...recipe, seed };
+}
+
+// Replicate statuses after which a prediction will not change again
+const TERMINAL_PREDICTION_STATUSES = ['succeeded', 'failed', 'canceled'];
+
+// Status code used in api_logs for predictions cancelled by the user
+const CANCELLED_STATUS_CODE = 499;
+
+// Wait the given time, returning early if the signal is aborted
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    }
+  });
+}
+
+// Poll Replicate until a prediction succeeds, fails, is cancelled or runs out
+// of attempts. Aborting the signal ends the loop early; onUpdate receives
+// every polled state so progress can be streamed to clients.
+async function waitForPrediction(prediction, { maxAttempts = 300, signal = null, onUpdate = null } = {}) {
+  let result = prediction;
+  let attempts = 0;
+
+  while (!TERMINAL_PREDICTION_STATUSES.includes(result.status) && attempts < maxAttempts) {
+    if (signal && signal.aborted) {
+      break;
+    }
+
+    console.log(`Polling attempt ${attempts + 1}/${maxAttempts}. Status: ${result.status}`);
+
+    // Wait 1 second between polls
+    await sleep(1000, signal);
+    if (signal && signal.aborted) {
+      break;
+    }
+
+    // Get updated prediction status
+    try {
+      result = await provider.getPrediction(prediction.id);
+      if (onUpdate) {
+        onUpdate(result);
+      }
+    } catch (pollingError) {
+      console.error('Error during polling:', pollingError.message);
+
+      // If we can't get prediction status but haven't reached max attempts, continue
+      if (attempts < maxAttempts - 1) {
+        console.log('Will try polling again...');
+        continue;
+      }
+
+      forgetPredictionProgress(prediction.id);
+      throw pollingError;
+    }
+
+    attempts++;
+  }
+
+  const cancelled = Boolean(signal && signal.aborted) || result.status === 'canceled';
+  if (!TERMINAL_PREDICTION_STATUSES.includes(result.status)) {
+    forgetPredictionProgress(prediction.id);
+  }
+  return {
+    result,
+    attempts,
+    cancelled,
+    timedOut: !cancelled && !TERMINAL_PREDICTION_STATUSES.includes(result.status)
+  };
+}
+
+// Response body for a newly queued job
+function queuedJobResponse(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    position: getQueuePosition(job.id),
+    statusUrl: `/api/jobs/${job.id}`,
+    message: 'Job queued'
+  };
+}
+
+// Copy of a model input that is safe to log and store (no full image data)
+function summarizeInput(input) {
+  const summary = { ...input };
+  for (const [key, value] of Object.entries(summary)) {
+    if (typeof value === 'string' && value.length > 100) {
+      summary[key] = `${value.substring(0, 50)}... [truncated]`;
     }
-    
-    // Create data URI
-    const base64Data = fileBuffer.toString('base64');
-    const dataUri = `data:${mimeType};base64,${base64Data}`;
-    
-    console.log(`Created data URI with mime type: ${mimeType}`);
-    return dataUri;
-  } catch (error) {
-    console.error('Error creating data URI:', error.message);
-    throw new Error(`Failed to create data URI: ${error.message}`);
   }
+  return summary;
 }
 
 // Test endpoint for Replicate CDN upload
-app.post('/api/test-replicate-upload', upload.single('image'), async (req, res) => {
+app.post('/api/test-replicate-upload', requireRole('admin'), upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+      return sendError(res, 400, 'FILE_REQUIRED', 'No file uploaded');
     }
     
-    const filePath = path.join(UPLOADS_DIR, req.file.filename);
-    console.log(`Uploaded file: ${filePath}`);
+    console.log(`Uploaded file: ${req.file.key}`);
     
     // Create a data URI
-    const dataUri = await uploadToReplicateCDN(filePath);
+    const dataUri = await createDataUri(req.file.key);
     
     // Use the data URI with a test prediction to verify it works
     console.log('Testing data URI with Flux model...');
-    const modelVersion = "black-forest-labs/flux-canny-pro:eb672df541b42b50cb3b397d202de02a52210e6363fb1d8bc9e57fab089cee9d";
+    const edgeModel = getModel('edge');
     
     // Create a simple prediction
-    const prediction = await replicate.predictions.create({
-      version: modelVersion.split(':')[1],
+    const prediction = await provider.createPrediction({
+      version: edgeModel.version,
       input: {
         prompt: "Test image, high quality",
         control_image: dataUri,
@@ -632,1279 +769,2799 @@ app.post('/api/test-replicate-upload', upload.single('image'), async (req, res)
     });
   } catch (error) {
     console.error('Error testing data URI upload:', error);
-    res.status(500).json({ 
-      error: 'Upload failed',
-      details: error.message 
-    });
+    sendError(res, 500, 'UPLOAD_FAILED', 'Upload failed', { details: error.message });
   }
 });
 
 // Initialize database on startup
-initializeDatabase();
-updateDatabaseSchema();
-
-// Middleware to get user from frontend
-function getUserFromRequest(req, res, next) {
-  // Get user info from request headers
-  const userId = req.headers['x-user-id'] || 'anonymous';
-  const userName = req.headers['x-user-name'] || 'Anonymous User';
-  const userEmail = req.headers['x-user-email'] || 'anonymous';
-  
-  // Log the received user info for debugging
-  console.log('Received user info:', {
-    id: userId,
-    name: userName,
-    email: userEmail
+const databaseReady = initializeDatabase()
+  .then(updateDatabaseSchema)
+  .then(refreshModelOverrides)
+  .then(refreshRoleAssignments)
+  .catch(error => {
+    // Don't serve requests against missing or outdated tables
+    console.error('Failed to set up the database, exiting:', error);
+    process.exit(1);
   });
-  
-  req.user = {
-    id: userId,
-    name: userName,
-    email: userEmail
-  };
-  
-  next();
+
+// Verifies who a request comes from (see src/auth.js)
+const authenticator = createAuthenticator();
+
+// Routes that work without a signed-in user. File and image links carry
+// their own signatures (and check the user themselves), and webhooks are
+// verified by the provider.
+const PUBLIC_ROUTES = [
+  ['GET', /^\/api\/health$/],
+  ['GET', /^\/api\/test-db$/],
+  ['GET', /^\/files\/[^/]+\/[^/]+$/],
+  ['GET', /^\/uploads\/[^/]+$/],
+  ['GET', /^\/ThumbnailImages\/[^/]+$/],
+  ['GET', /^\/mock-outputs\//],
+  ['GET', /^\/api\/thumbnails\/[^/]+\/image$/],
+  ['POST', /^\/api\/replicate-webhook$/]
+];
+
+// EventSource and <img> tags can't send headers, so event streams and file
+// links also accept the JWT as ?access_token=
+const QUERY_TOKEN_ROUTES = [
+  /^\/api\/prediction\/[^/]+\/events$/,
+  /^\/files\/[^/]+\/[^/]+$/,
+  /^\/uploads\/[^/]+$/,
+  /^\/ThumbnailImages\/[^/]+$/,
+  /^\/api\/thumbnails\/[^/]+\/image$/
+];
+
+// Routes API keys may call besides the public ones, with the scope each
+// needs (null for any key). Everything else, like managing models, roles
+// and keys, is off limits to keys.
+const API_KEY_ROUTES = [
+  ['GET', /^\/api\/(me|models)$/, null],
+  ['POST', /^\/api\/(generate-image(\/replay)?|generate-skoda-illustration|upscale|convert-to-svg|upload)$/, 'generate'],
+  ['DELETE', /^\/api\/delete-file$/, 'generate'],
+  ['GET', /^\/api\/(prediction|jobs)\/[^/]+$/, 'generate'],
+  ['GET', /^\/api\/prediction\/[^/]+\/events$/, 'generate'],
+  ['POST', /^\/api\/prediction\/[^/]+\/cancel$/, 'generate'],
+  ['GET', /^\/api\/(thumbnails|collections|trash)(\/|$)/, 'gallery:read'],
+  ['POST', /^\/api\/(thumbnails|collections|trash)(\/|$)/, 'gallery:write'],
+  ['PATCH', /^\/api\/(thumbnails|collections)\//, 'gallery:write'],
+  ['PUT', /^\/api\/collections\//, 'gallery:write'],
+  ['DELETE', /^\/api\/(thumbnails|collections|trash)(\/|$)/, 'gallery:write'],
+  ['GET', /^\/api\/(usage\/me|logs)$/, 'usage:read']
+];
+
+// Why an API key user may not call a route, or null when they may
+function apiKeyAccessError(user, method, path) {
+  const route = API_KEY_ROUTES.find(([routeMethod, pattern]) => routeMethod === method && pattern.test(path));
+  if (!route) {
+    return { message: 'API keys cannot call this route', details: { scopes: user.scopes } };
+  }
+  const scope = route[2];
+  if (scope && !user.scopes.includes(scope)) {
+    return { message: `This API key needs the ${scope} scope`, details: { requiredScope: scope, scopes: user.scopes } };
+  }
+  return null;
 }
 
-// API Routes
-app.post('/api/generate-image', async (req, res) => {
-  console.log('Received image generation request');
-  const startTime = Date.now();
-  
+// Middleware to get the user, with their role, from verified credentials or
+// an API key. Requests without valid credentials are rejected with a 401,
+// except on public routes, which still get req.user when the caller is
+// signed in.
+async function authenticateRequest(req, res, next) {
+  const method = req.method === 'HEAD' ? 'GET' : req.method;
+  const isPublic = PUBLIC_ROUTES.some(([routeMethod, pattern]) => routeMethod === method && pattern.test(req.path));
+  const allowQueryToken = method === 'GET' && QUERY_TOKEN_ROUTES.some(pattern => pattern.test(req.path));
+
+  const apiKey = apiKeyFromRequest(req);
+  let result;
   try {
-    // Extract all parameters from request body
-    const { prompt, engineType, model, main_face_image, settings } = req.body;
-    
-    // Log the full request details
-    console.log('----------------------------------------');
-    console.log('FULL REQUEST DETAILS:');
-    console.log(`Engine Type: ${engineType}`);
-    console.log(`Model: ${model}`);
-    console.log(`Settings: ${JSON.stringify(settings, null, 2)}`);
-    console.log(`Main Face Image: ${main_face_image ? 'Present' : 'Not present'}`);
-    console.log('----------------------------------------');
-    
-    if (!prompt) {
-      return res.status(400).json({ error: 'Prompt is required' });
-    }
-    
-    if (!engineType || !MODELS[engineType]) {
-      console.error(`Invalid engine type: ${engineType}`);
-      return res.status(400).json({ error: 'Valid engine type is required' });
+    result = apiKey ? await authenticateApiKey(apiKey) : authenticator.authenticate(req, { allowQueryToken });
+  } catch (error) {
+    console.error('Error checking API key:', error);
+    return sendError(res, 503, 'AUTH_UNAVAILABLE', 'The API key could not be checked. Try again later.');
+  }
+
+  const { user, method: authMethod, error } = result;
+  if (user && authMethod === 'api_key') {
+    const accessError = isPublic ? null : apiKeyAccessError(user, method, req.path);
+    if (accessError) {
+      console.log(`API key ${user.apiKeyId} refused ${method} ${req.path}`);
+      return sendError(res, 403, 'FORBIDDEN', accessError.message, { details: accessError.details });
     }
+    req.user = user;
+    console.log(`Authenticated ${user.id} with API key ${user.apiKeyId}`);
+    return next();
+  }
+  if (user) {
+    req.user = { ...user, role: resolveRole(user) };
+    console.log(`Authenticated ${user.id} as ${req.user.role} (${authMethod})`);
+    return next();
+  }
+  if (isPublic) {
+    return next();
+  }
+  if (error) {
+    return sendError(res, 401, error.code, error.message);
+  }
+  sendError(res, 401, 'AUTH_REQUIRED', 'Authentication required');
+}
 
-    // Get the selected model configuration
-    const selectedModel = MODELS[engineType];
+function isAdmin(user) {
+  return hasRole(user, 'admin');
+}
 
-    // Log the model being used with extra details
-    console.log(`Using model: ${selectedModel.displayName} (${selectedModel.version})`);
-    console.log(`Model details: ${JSON.stringify(selectedModel, null, 2)}`);
-    
-    // Clean up the prompt
-    const cleanPrompt = sanitizePrompt(prompt);
-    console.log('Cleaned prompt:', cleanPrompt);
-    
-    // Log for image settings
-    if (engineType === 'edge' || engineType === 'depth') {
-      console.log('Checking composition image for ControlNet models...');
-      
-      if (!settings) {
-        console.error('Settings object is missing');
-        return res.status(400).json({ error: 'Settings are required' });
+// Whether `user` may see or act on a job or prediction started by `owner`.
+// Only the owner and admins may; predictions from before owners were
+// recorded stay open to everyone.
+function canAccessPrediction(user, owner) {
+  return !owner || !owner.id || owner.id === user.id || isAdmin(user);
+}
+
+// Middleware that only lets users with `role` (or a more powerful one)
+// through. Put it before multer so files from other users aren't stored.
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return sendError(res, 403, 'FORBIDDEN', `The ${role} role is required`, {
+        details: { role: req.user ? req.user.role : null, requiredRole: role }
+      });
+    }
+    next();
+  };
+}
+
+// 429 for a call that would overrun one of the caller's quotas
+function sendQuotaExceeded(res, exceeded) {
+  const { message, ...details } = exceeded;
+  res.set('Retry-After', String(Math.max(1, Math.ceil((details.resetsAt.getTime() - Date.now()) / 1000))));
+  return sendError(res, 429, 'QUOTA_EXCEEDED', message, { details });
+}
+
+// Reserve quota for a billable call of `model` with `input`, counting the
+// outputs the model will make (see expectedOutputCount).
+// Sends a 429 and returns null when that would overrun a quota.
+async function checkQuota(req, res, model, input = {}) {
+  const quota = await reserveQuota(req.user, usageFor(model.key, expectedOutputCount(model, input)));
+  if (!quota.allowed) {
+    console.log(`Quota exceeded for ${req.user.id}:`, quota.exceeded);
+    sendQuotaExceeded(res, quota.exceeded);
+    return null;
+  }
+  return quota;
+}
+
+// Current usage and remaining quotas of the current user and their teams
+app.get('/api/usage/me', async (req, res) => {
+  try {
+    res.json(await getUsageReport(req.user));
+  } catch (error) {
+    console.error('Error getting usage:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to get usage', { details: error.message });
+  }
+});
+
+// The current user and their role
+app.get('/api/me', (req, res) => {
+  res.json({ ...req.user, roles: ROLES });
+});
+
+// Roles assigned by admins, and the role everyone else gets (admin only)
+app.get('/api/roles', requireRole('admin'), (req, res) => {
+  res.json({ roles: ROLES, defaultRole: DEFAULT_ROLE, assignments: listRoleAssignments() });
+});
+
+// Give a user a role (admin only)
+app.put('/api/users/:userId/role', requireRole('admin'), async (req, res) => {
+  try {
+    const { role } = req.body || {};
+    if (!isValidRole(role)) {
+      return sendValidationError(res, [{ field: 'role', code: 'invalid_role', message: `Role must be one of: ${ROLES.join(', ')}` }]);
+    }
+
+    const assignment = await assignRole(req.params.userId, role, req.user);
+
+    await logApiCall(
+      req.user,
+      '/api/users/role',
+      'PUT',
+      200,
+      { userId: req.params.userId, role },
+      assignment,
+      null
+    );
+
+    res.json(assignment);
+  } catch (error) {
+    console.error('Error assigning role:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to assign role', { details: error.message });
+  }
+});
+
+// Remove a user's assigned role, so they get their token's or the default role (admin only)
+app.delete('/api/users/:userId/role', requireRole('admin'), async (req, res) => {
+  try {
+    if (!await removeRole(req.params.userId, req.user)) {
+      return sendError(res, 404, 'ROLE_NOT_FOUND', 'User has no assigned role');
+    }
+
+    await logApiCall(
+      req.user,
+      '/api/users/role',
+      'DELETE',
+      200,
+      { userId: req.params.userId },
+      null,
+      null
+    );
+
+    res.json({ message: 'Role removed', userId: req.params.userId });
+  } catch (error) {
+    console.error('Error removing role:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to remove role', { details: error.message });
+  }
+});
+
+// API keys for service accounts and teams, newest first. Revoked keys are
+// included with ?includeRevoked=true. (admin only)
+app.get('/api/api-keys', requireRole('admin'), async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys({ includeRevoked: req.query.includeRevoked === 'true' });
+    res.json({ apiKeys, scopes: SCOPES });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to list API keys', { details: error.message });
+  }
+});
+
+app.get('/api/api-keys/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const apiKey = await getApiKey(req.params.id);
+    if (!apiKey) {
+      return sendError(res, 404, 'API_KEY_NOT_FOUND', 'API key not found');
+    }
+    res.json(apiKey);
+  } catch (error) {
+    console.error('Error getting API key:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to get API key', { details: error.message });
+  }
+});
+
+// Issue an API key to a service account or team. The response is the only
+// time the key is shown. (admin only)
+app.post('/api/api-keys', requireRole('admin'), async (req, res) => {
+  try {
+    const { fields, errors } = validateApiKeyFields(req.body || {});
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const { apiKey, key } = await issueApiKey(fields, req.user);
+
+    await logApiCall(
+      req.user,
+      '/api/api-keys',
+      'POST',
+      201,
+      req.body,
+      apiKey,
+      null
+    );
+
+    res.status(201).json({ ...apiKey, key });
+  } catch (error) {
+    console.error('Error issuing API key:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to issue API key', { details: error.message });
+  }
+});
+
+// Replace the secret of an API key, keeping its scopes. The old secret stops
+// working straight away. (admin only)
+app.post('/api/api-keys/:id/rotate', requireRole('admin'), async (req, res) => {
+  try {
+    const rotated = await rotateApiKey(req.params.id, req.user);
+    if (!rotated) {
+      return sendError(res, 404, 'API_KEY_NOT_FOUND', 'No active API key with this ID');
+    }
+
+    await logApiCall(
+      req.user,
+      '/api/api-keys/rotate',
+      'POST',
+      200,
+      { id: req.params.id },
+      rotated.apiKey,
+      null
+    );
+
+    res.json({ ...rotated.apiKey, key: rotated.key });
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to rotate API key', { details: error.message });
+  }
+});
+
+// Revoke an API key. It is kept, so calls made with it stay attributable. (admin only)
+app.delete('/api/api-keys/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.id, req.user);
+    if (!apiKey) {
+      return sendError(res, 404, 'API_KEY_NOT_FOUND', 'No active API key with this ID');
+    }
+
+    await logApiCall(
+      req.user,
+      '/api/api-keys',
+      'DELETE',
+      200,
+      { id: req.params.id },
+      apiKey,
+      null
+    );
+
+    res.json(apiKey);
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to revoke API key', { details: error.message });
+  }
+});
+
+// List the model catalog for the frontend
+app.get('/api/models', (req, res) => {
+  const category = req.query.category || null;
+  const models = listModels(category).map(model => ({
+    key: model.key,
+    category: model.category,
+    displayName: model.displayName,
+    description: model.description,
+    model: model.model || null,
+    version: model.version,
+    pinned: model.pinned,
+    unitCost: model.unitCost || 0,
+    requiredInputs: model.requiredInputs || [],
+    optionalInputs: model.optionalInputs || [],
+    aspectRatios: model.aspectRatios || [],
+    dimensions: model.dimensions || null,
+    inputs: model.inputs || {}
+  }));
+
+  res.json(models);
+});
+
+// Pin a model to a specific version (admin only)
+app.put('/api/models/:key/version', requireRole('admin'), async (req, res, next) => {
+  try {
+    if (!getModel(req.params.key)) {
+      return sendError(res, 404, 'MODEL_NOT_FOUND', 'Model not found');
+    }
+
+    const previousVersion = getModel(req.params.key).version;
+    const model = await pinModelVersion(req.params.key, req.body.version, req.user);
+
+    await logApiCall(
+      req.user,
+      '/api/models/version',
+      'PUT',
+      200,
+      { model: req.params.key, version: req.body.version },
+      { previousVersion },
+      null
+    );
+
+    res.json(model);
+  } catch (error) {
+    // Invalid versions are reported by the error handler
+    if (error instanceof ApiError) {
+      return next(error);
+    }
+    console.error('Error pinning model version:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to pin model version', { details: error.message });
+  }
+});
+
+// Remove a pin so the model uses the catalog version again (admin only)
+app.delete('/api/models/:key/version', requireRole('admin'), async (req, res) => {
+  try {
+    if (!getModel(req.params.key)) {
+      return sendError(res, 404, 'MODEL_NOT_FOUND', 'Model not found');
+    }
+
+    const model = await unpinModelVersion(req.params.key, req.user);
+
+    await logApiCall(
+      req.user,
+      '/api/models/version',
+      'DELETE',
+      200,
+      { model: req.params.key },
+      { version: model.version },
+      null
+    );
+
+    res.json(model);
+  } catch (error) {
+    console.error('Error resetting model version:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to reset model version', { details: error.message });
+  }
+});
+
+// Sanitize the prompt, resolve local images and build the recipe for a
+// validated /api/generate-image request. Returns { errors } for bad images.
+async function prepareImageGeneration(req, model, { input, values }, replayOf = null) {
+  // Clean up the prompt
+  const cleanPrompt = sanitizePrompt(input.prompt);
+  input.prompt = cleanPrompt;
+  console.log('Cleaned prompt:', cleanPrompt);
+
+  // Local uploads are sent to the model as data URIs
+  const errors = await resolveImageInputs(req, model, input);
+  if (errors.length) {
+    return { errors };
+  }
+
+  const imageRefs = await storeRecipeImages(req, model, values);
+  const recipe = buildRecipe(model, '/api/generate-image', { values, input, imageRefs, replayOf });
+  return { errors, recipe };
+}
+
+// Queue a generation job: create the prediction, wait for it and normalize the output
+function enqueueImageGeneration(userInfo, selectedModel, input, recipe) {
+  const engineType = selectedModel.key;
+  const startTime = Date.now();
+
+  return enqueueJob('generate-image', userInfo, async (job) => {
+    // Create prediction using the Replicate API
+    let prediction;
+    // Always use direct version ID for predictable behavior
+    console.log(`Creating prediction with version: ${recipe.version}`);
+
+    try {
+      prediction = await provider.createPrediction({
+        version: recipe.version,
+        input: input
+      });
+
+      job.predictionId = prediction.id;
+      await trackPrediction(prediction.id, job, engineType, '/api/generate-image', input, recipe);
+      reportProviderUpdate(prediction, job.id);
+      console.log(`Prediction created with ID: ${prediction.id}`);
+      console.log(`Initial status: ${prediction.status}`);
+    } catch (createError) {
+      console.error('Error creating prediction:', createError);
+      console.error('Error details:', createError.message);
+      throw new Error(`Failed to create prediction: ${createError.message}`);
+    }
+
+    // Poll for the result
+    const maxAttempts = 300;
+    let { result, timedOut, cancelled } = await waitForPrediction(prediction, {
+      maxAttempts,
+      signal: job.signal,
+      onUpdate: update => reportProviderUpdate(update, job.id)
+    });
+
+    if (cancelled) {
+      await cancelPrediction(prediction.id);
+      throw new Error('Prediction was cancelled');
+    }
+
+    if (result.status === 'failed') {
+      const errorMessage = result.error || 'Unknown error';
+      console.error(`Prediction failed: ${errorMessage}`);
+      console.error('Full prediction object:', JSON.stringify(result, null, 2));
+      await finishPrediction(prediction.id, 'failed', { error: errorMessage });
+      throw new Error(`Prediction failed: ${errorMessage}`);
+    }
+
+    if (timedOut) {
+      console.error('Prediction timed out. Last status:', result.status);
+      console.error('Full prediction object:', JSON.stringify(result, null, 2));
+      const message = `Prediction timed out after ${maxAttempts} seconds. Last status: ${result.status}`;
+      result = await stopTimedOutPrediction(prediction.id, message);
+      if (!result) {
+        throw new Error(message);
+      }
+    }
+
+    console.log('Prediction succeeded:', result.id);
+    console.log('Output:', result.output);
+
+    // Process the output based on model type
+    const imageUrls = provider.normalizeOutput(engineType, result.output);
+    const seed = provider.extractSeed(result);
+    await finishPrediction(prediction.id, 'completed', { outputUrls: imageUrls, seed });
+
+    // Log successful generation for billing
+    if (await shouldLogBilling(prediction.id)) {
+      await logApiCall(
+        userInfo,
+        '/api/generate-image',
+        'POST',
+        200,
+        { predictionId: prediction.id, engine: engineType },
+        { success: true, imageUrls },
+        null,
+        usageFor(engineType, imageUrls.length)
+      );
+    }
+
+    const generationTime = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`Image generated successfully in ${generationTime}s`);
+
+    // Report the size the model actually produced, not just what was asked for
+    const dimensions = await readImageDimensions(imageUrls[0]) || { width: input.width, height: input.height };
+
+    return {
+      imageUrl: imageUrls[0],
+      predictionId: prediction.id,
+      imageUrls: imageUrls,
+      metadata: {
+        engine: engineType,
+        aspectRatio: input.aspect_ratio,
+        prompt: input.prompt,
+        width: dimensions.width,
+        height: dimensions.height,
+        seed,
+        generationTime: `${generationTime}s`,
+        settings: {
+          steps: input.num_inference_steps || input.steps || 30,
+          guidance: input.guidance_scale || input.guidance || 7.5
+        }
+      },
+      recipe: recipeWithSeed(recipe, seed)
+    };
+  });
+}
+
+// API Routes
+app.post('/api/generate-image', requireRole('creator'), limitRoute('/api/generate-image'), async (req, res) => {
+  console.log('Received image generation request');
+  
+  try {
+    // Extract all parameters from request body
+    const { engineType, model, main_face_image, settings } = req.body;
+    
+    // Log the full request details
+    console.log('----------------------------------------');
+    console.log('FULL REQUEST DETAILS:');
+    console.log(`Engine Type: ${engineType}`);
+    console.log(`Model: ${model}`);
+    console.log(`Settings: ${JSON.stringify(settings, null, 2)}`);
+    console.log(`Main Face Image: ${main_face_image ? 'Present' : 'Not present'}`);
+    console.log('----------------------------------------');
+    
+    const selectedModel = engineType ? getModel(engineType) : null;
+    if (!selectedModel || selectedModel.category !== 'generation') {
+      console.error(`Invalid engine type: ${engineType}`);
+      const engines = listModels('generation').map(entry => entry.key);
+      return sendValidationError(res, [{
+        field: 'engineType',
+        code: engineType ? 'invalid_enum' : 'required',
+        message: `engineType must be one of: ${engines.join(', ')}`
+      }]);
+    }
+
+    // Log the model being used with extra details
+    console.log(`Using model: ${selectedModel.displayName} (${selectedModel.version})`);
+    console.log(`Model details: ${JSON.stringify(selectedModel, null, 2)}`);
+    
+    // Validate the request against the engine's input schema and map it to model input names
+    const validated = validateModelInput(selectedModel, [req.body, settings]);
+    if (validated.errors.length) {
+      console.error('Invalid generation input:', validated.errors);
+      return sendValidationError(res, validated.errors);
+    }
+    
+    const { errors: imageErrors, recipe } = await prepareImageGeneration(req, selectedModel, validated);
+    if (imageErrors.length) {
+      return sendValidationError(res, imageErrors);
+    }
+    const { input } = validated;
+    
+    // Log the input for debugging
+    console.log('----------------------------------------');
+    console.log('FINAL MODEL INPUT:');
+    console.log(`Model: ${selectedModel.model || "No model name"}`);
+    console.log(`Version: ${selectedModel.version}`);
+    console.log('Input parameters:');
+    
+    // Create a safe copy for logging that doesn't include full image data
+    const safeInput = summarizeInput(input);
+    
+    console.log(JSON.stringify(safeInput, null, 2));
+    console.log('----------------------------------------');
+    
+    const quota = await checkQuota(req, res, selectedModel, input);
+    if (!quota) return;
+
+    // Hand the create/poll/normalize work to the job queue and respond at once
+    const job = enqueueImageGeneration(req.user, selectedModel, input, recipe);
+    releaseWhenFinished(job.id, quota.release, takeSlots(req, job.id));
+
+    res.status(202).json(queuedJobResponse(job));
+  } catch (error) {
+    console.error('Server error:', error);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error', { details: error.message });
+  }
+});
+
+app.post('/api/upload', requireRole('creator'), limitRoute('/api/upload'), upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return sendError(res, 400, 'FILE_REQUIRED', 'No file uploaded');
+    }
+
+    console.log(req.file.existed ? 'File was already uploaded:' : 'File uploaded successfully:', {
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      mimetype: req.file.mimetype,
+      size: req.file.size
+    });
+
+    // Only uploaders (and admins) may delete the file later
+    await recordUploadOwner(req.file.filename, req.user.id);
+
+    // Signed URL for the uploaded file, valid for the uploading user
+    const localImageUrl = signedUrl(req, storedFilePath(req.file.key));
+    
+    console.log('Generated local image URL:', localImageUrl);
+    
+    // Store the file path for potential future upload to image hosting
+    res.json({ 
+      imagePath: localImageUrl,
+      localFilePath: req.file.filename, // Just store the filename, not the full path
+      filename: req.file.filename,
+      contentHash: req.file.contentHash,
+      // True when identical bytes were uploaded before; imagePath and
+      // filename then point to that file
+      duplicate: req.file.existed,
+      message: req.file.existed ? 'File already uploaded' : 'File uploaded successfully'
+    });
+  } catch (error) {
+    console.error('Error uploading file:', error);
+    sendError(res, 500, 'UPLOAD_FAILED', 'Upload failed', { details: error.message });
+  }
+});
+
+// Delete an upload of the current user. Identical uploads share one file,
+// so the file only moves to the user's trash once no other user owns it.
+// Admins deleting a file they didn't upload move it to their trash anyway.
+app.delete('/api/delete-file', async (req, res) => {
+  try {
+    const { filename } = req.body;
+    if (!filename) {
+      return sendValidationError(res, [{ field: 'filename', code: 'required', message: 'Filename is required' }]);
+    }
+
+    // Security check: only plain file names in the uploads folder
+    if (typeof filename !== 'string' || path.basename(filename) !== filename) {
+      return sendError(res, 400, 'INVALID_PATH', 'Invalid file path');
+    }
+
+    const key = `${UPLOADS_PREFIX}${filename}`;
+    const stats = await fileStorage.stat(key);
+    if (!stats) {
+      return sendError(res, 404, 'FILE_NOT_FOUND', 'File not found');
+    }
+    const isOwner = await isUploadOwner(filename, req.user.id);
+    if (!isOwner && !isAdmin(req.user)) {
+      return sendError(res, 403, 'FORBIDDEN', 'You can only delete files you uploaded');
+    }
+
+    if (isOwner) {
+      const otherOwners = await removeUploadOwner(filename, req.user.id);
+      if (otherOwners > 0) {
+        console.log(`Upload ${filename} removed by ${req.user.id}, still used by ${otherOwners} other users`);
+        return res.json({ message: 'File removed from your uploads' });
+      }
+    }
+
+    const id = crypto.randomUUID();
+    const trashFilename = `${id}${path.extname(filename)}`;
+    const trashKey = `${TRASH_PREFIX}${trashFilename}`;
+    if (!await moveFile(fileStorage, key, trashKey)) {
+      if (isOwner) await recordUploadOwner(filename, req.user.id);
+      return sendError(res, 404, 'FILE_NOT_FOUND', 'File not found');
+    }
+
+    let trashed;
+    try {
+      trashed = await saveTrashedFile({ id, userId: req.user.id, filename, trashFilename, size: stats.size });
+    } catch (error) {
+      // Put the file back rather than keep it without a trash entry
+      await moveFile(fileStorage, trashKey, key);
+      if (isOwner) await recordUploadOwner(filename, req.user.id);
+      throw error;
+    }
+
+    console.log(`Upload ${trashed.filename} moved to trash by ${req.user.id}`);
+    res.json({ message: 'File moved to trash', trashId: trashed.id, expiresAt: trashExpiry(trashed.deletedAt) });
+  } catch (error) {
+    console.error('Error deleting file:', error);
+    sendError(res, 500, 'DELETE_FAILED', 'Delete failed', { details: error.message });
+  }
+});
+
+// What to release once a job or prediction finishes (quota reservations
+// and concurrency slots), keyed by job or prediction ID
+const finishReleases = new Map();
+
+function releaseWhenFinished(id, ...releases) {
+  finishReleases.set(id, [...(finishReleases.get(id) || []), ...releases]);
+}
+
+function runFinishReleases(id) {
+  const releases = finishReleases.get(id);
+  if (releases) {
+    finishReleases.delete(id);
+    releases.forEach(release => release());
+  }
+}
+
+// Prediction state lives in the predictions table so it survives restarts
+// and is shared between instances. Returns null for predictions that aren't
+// tracked, unless `create` is set.
+async function updatePredictionResult(id, updateFn, { create = false } = {}) {
+  let previousStatus = null;
+  const updated = await updatePrediction(id, (current) => {
+    previousStatus = current.status;
+    return updateFn(current);
+  }, { create });
+  if (!updated) {
+    console.warn(`Ignoring update of untracked prediction ${id}`);
+    return null;
+  }
+
+  // Predictions stop counting against quotas and concurrency limits once they
+  // finish. The instance finalizing a prediction may not be the one that
+  // started it, so its slots are also released in the shared store.
+  if (updated.status !== 'processing') {
+    releaseSlotsOf(id);
+    if (updated.jobId) releaseSlotsOf(updated.jobId);
+    runFinishReleases(id);
+    forgetPredictionProgress(id);
+  }
+
+  // Let SSE clients know about status transitions
+  if (updated.status !== previousStatus) {
+    publishPredictionEvent([id, updated.jobId], {
+      type: 'status',
+      source: 'prediction',
+      predictionId: id,
+      jobId: updated.jobId || null,
+      status: updated.status,
+      imageUrls: updated.outputUrls || [],
+      error: updated.error || null,
+      terminal: updated.status !== 'processing'
+    });
+  }
+
+  return updated;
+}
+
+// SSE status event for a job; the job type is renamed so it doesn't clash
+// with the event type
+function jobStatusEvent(job) {
+  return {
+    ...serializeJob(job),
+    type: 'status',
+    source: 'job',
+    jobType: job.type,
+    terminal: isJobFinished(job)
+  };
+}
+
+// Forward job queue transitions and queue position changes to SSE clients
+jobEvents.on('update', (job) => {
+  publishPredictionEvent(job.id, jobStatusEvent(job));
+
+  // By now a finished job has logged its billing row, if any
+  if (isJobFinished(job)) {
+    runFinishReleases(job.id);
+  }
+});
+
+jobEvents.on('queue', () => {
+  getPendingJobIds().forEach((jobId, index) => {
+    publishPredictionEvent(jobId, { type: 'queue', jobId, position: index + 1 });
+  });
+});
+
+// Record a prediction created by a queued job
+async function trackPrediction(predictionId, job, engine, endpoint, input, recipe = null) {
+  try {
+    await updatePredictionResult(predictionId, (current) => ({
+      ...current,
+      jobId: job.id,
+      userInfo: job.userInfo,
+      engine,
+      endpoint,
+      inputSummary: summarizeInput(input),
+      recipe: recipe || current.recipe || null,
+      status: 'processing'
+    }), { create: true });
+  } catch (error) {
+    console.error(`Failed to record prediction ${predictionId}:`, error.message);
+  }
+}
+
+// Mark a prediction as completed or failed
+async function finishPrediction(predictionId, status, { outputUrls = [], error = null, seed = null } = {}) {
+  try {
+    await updatePredictionResult(predictionId, (current) => ({
+      ...current,
+      status,
+      outputUrls,
+      error,
+      recipe: recipeWithSeed(current.recipe, seed),
+      completedAt: new Date()
+    }));
+  } catch (updateError) {
+    console.error(`Failed to update prediction ${predictionId}:`, updateError.message);
+  }
+}
+
+// Claim the billing row for a prediction so it is logged at most once.
+// If the claim itself fails, log anyway rather than lose the billing row.
+async function shouldLogBilling(predictionId) {
+  try {
+    return await claimPredictionBilling(predictionId);
+  } catch (error) {
+    console.error(`Failed to claim billing for prediction ${predictionId}:`, error.message);
+    return true;
+  }
+}
+
+// Output URLs for a finished prediction, based on the engine that produced it
+function outputUrlsForEngine(engine, output) {
+  const model = getModel(engine);
+  if (model && model.category === 'generation') {
+    return provider.normalizeOutput(engine, output);
+  }
+  return [].concat(output || []);
+}
+
+// Finalize a prediction the provider reports as finished, when no webhook
+// or queue worker did: left in processing by a previous process
+// (`source` 'reconciliation'), found finished by a status check
+// ('status-check') or finished before it was tracked ('creation'). Writes
+// its billing row unless one was already logged.
+async function finalizePrediction(stored, prediction, source) {
+  const succeeded = prediction.status === 'succeeded';
+  const cancelled = prediction.status === 'canceled';
+  let outputUrls = [];
+  let errorMessage = null;
+
+  if (succeeded) {
+    try {
+      outputUrls = outputUrlsForEngine(stored.engine, prediction.output);
+    } catch (error) {
+      console.warn(`Could not parse output of prediction ${stored.id}:`, error.message);
+      outputUrls = [].concat(prediction.output || []);
+    }
+    await finishPrediction(stored.id, 'completed', { outputUrls, seed: provider.extractSeed(prediction) });
+  } else if (cancelled) {
+    errorMessage = 'Prediction was cancelled';
+    await finishPrediction(stored.id, 'cancelled', { error: errorMessage });
+  } else {
+    errorMessage = prediction.error || `Prediction ${prediction.status}`;
+    await finishPrediction(stored.id, 'failed', { error: errorMessage });
+  }
+
+  const status = succeeded ? 'completed' : (cancelled ? 'cancelled' : 'failed');
+  console.log(`Finalized prediction ${stored.id} (${source}): ${status}`);
+
+  if (stored.userInfo && stored.userInfo.id && await shouldLogBilling(stored.id)) {
+    await logApiCall(
+      stored.userInfo,
+      stored.endpoint || '/api/replicate-webhook',
+      'POST',
+      succeeded ? 200 : (cancelled ? CANCELLED_STATUS_CODE : 500),
+      { predictionId: stored.id, engine: stored.engine, finalizedBy: source },
+      succeeded ? { success: true, imageUrls: outputUrls } : null,
+      errorMessage,
+      succeeded ? usageFor(stored.engine, outputUrls.length) : null
+    );
+  }
+}
+
+// Check every prediction still marked processing against Replicate. Finished
+// ones are finalized now; running ones are watched in the background.
+async function reconcilePredictions() {
+  let pending;
+  try {
+    pending = await getPredictionsByStatus('processing');
+  } catch (error) {
+    console.error('Error loading in-flight predictions:', error);
+    return;
+  }
+
+  console.log(`Reconciling ${pending.length} in-flight predictions...`);
+
+  for (const stored of pending) {
+    try {
+      const prediction = await provider.getPrediction(stored.id);
+
+      if (TERMINAL_PREDICTION_STATUSES.includes(prediction.status)) {
+        await finalizePrediction(stored, prediction, 'reconciliation');
+        continue;
       }
-      
-      console.log('Settings found:', Object.keys(settings).join(', '));
-      
-      if (!settings.compositionImage) {
-        console.error('Missing compositionImage in settings');
-        return res.status(400).json({ 
-          error: 'Composition image is required'
-        });
+
+      console.log(`Prediction ${stored.id} is still ${prediction.status}, watching it`);
+      waitForPrediction(prediction, { onUpdate: update => reportProviderUpdate(update, stored.jobId) })
+        .then(async ({ result, timedOut }) => {
+          if (timedOut) {
+            console.warn(`Prediction ${stored.id} still ${result.status} after reconciliation polling`);
+            return;
+          }
+          await finalizePrediction(stored, result, 'reconciliation');
+        })
+        .catch(error => console.error(`Error watching prediction ${stored.id}:`, error));
+    } catch (error) {
+      console.error(`Error reconciling prediction ${stored.id}:`, error.message);
+    }
+  }
+}
+
+// Cancel a prediction at the provider and mark it cancelled locally.
+// Predictions that already finished keep their final state.
+async function cancelPrediction(predictionId) {
+  try {
+    await provider.cancelPrediction(predictionId);
+    console.log(`Cancelled prediction ${predictionId} at ${provider.name}`);
+  } catch (error) {
+    console.error(`Failed to cancel prediction ${predictionId} at ${provider.name}:`, error.message);
+  }
+
+  try {
+    return await updatePredictionResult(predictionId, (current) => {
+      if (current.status !== 'processing') {
+        return current;
+      }
+      return {
+        ...current,
+        status: 'cancelled',
+        error: 'Prediction was cancelled',
+        completedAt: new Date()
+      };
+    });
+  } catch (error) {
+    console.error(`Failed to mark prediction ${predictionId} as cancelled:`, error.message);
+    return null;
+  }
+}
+
+// Stop a prediction that is still running when its job stops waiting for
+// it, so it doesn't keep running up costs that are never billed: cancel it at
+// the provider and mark it failed. Returns the provider's prediction if it
+// succeeded in the meantime, so the job can finish (and bill) it as usual,
+// or null.
+async function stopTimedOutPrediction(predictionId, message) {
+  try {
+    await provider.cancelPrediction(predictionId);
+    console.log(`Cancelled timed out prediction ${predictionId} at ${provider.name}`);
+  } catch (error) {
+    console.error(`Failed to cancel timed out prediction ${predictionId} at ${provider.name}:`, error.message);
+  }
+
+  try {
+    const latest = await provider.getPrediction(predictionId);
+    if (latest.status === 'succeeded') {
+      return latest;
+    }
+  } catch (error) {
+    console.error(`Failed to check timed out prediction ${predictionId}:`, error.message);
+  }
+
+  await finishPrediction(predictionId, 'failed', { error: message });
+  return null;
+}
+
+// Shape a stored prediction for the status endpoint
+function predictionResponse(prediction) {
+  return {
+    predictionId: prediction.id,
+    jobId: prediction.jobId || null,
+    engine: prediction.engine || null,
+    status: prediction.status,
+    imageUrl: prediction.outputUrls[0],
+    imageUrls: prediction.outputUrls,
+    seed: prediction.recipe ? prediction.recipe.seed : null,
+    recipe: prediction.recipe || null,
+    error: prediction.error || undefined,
+    startTime: prediction.createdAt ? new Date(prediction.createdAt).getTime() : undefined,
+    completedTime: prediction.completedAt ? new Date(prediction.completedAt).getTime() : undefined
+  };
+}
+
+// Add the prompt suffix and build the recipe for a validated Škoda request
+async function prepareSkodaIllustration(req, model, { input, values }, replayOf = null) {
+  // Clean and prepare the prompt
+  input.prompt = `${input.prompt}, high quality, detailed`;
+  console.log('Cleaned prompt:', input.prompt);
+
+  const imageRefs = await storeRecipeImages(req, model, values);
+  return buildRecipe(model, '/api/generate-skoda-illustration', { values, input, imageRefs, replayOf });
+}
+
+// Create a Škoda prediction; on Upsun the webhook reports the result.
+// The request's quota reservation and concurrency slots are held until the
+// prediction finishes, or released right away if it can't be created.
+async function startSkodaIllustration(req, modelInput, recipe, quota) {
+  // Replicate can only call back to a public URL that is known up front
+  // (PUBLIC_BASE_URL or the primary route on Upsun), and only when its calls
+  // can be verified (REPLICATE_WEBHOOK_SECRET); otherwise the prediction is
+  // finished by status checks and reconciliation
+  const serverUrl = provider.receivesWebhooks ? publicUrls.configured : null;
+
+  // Add webhook URL only when the public URL is known
+  if (serverUrl) {
+    console.log('Adding webhook URL:', `${serverUrl}/api/replicate-webhook`);
+    modelInput.webhook = `${serverUrl}/api/replicate-webhook`;
+  }
+
+  // Create prediction
+  let prediction;
+  try {
+    prediction = await provider.createPrediction({
+      version: recipe.version,
+      input: modelInput,
+      // Add webhook only if serverUrl exists; ask for log events to stream progress
+      webhook: serverUrl ? modelInput.webhook : null,
+      webhookEventsFilter: ['start', 'output', 'logs', 'completed']
+    });
+  } catch (error) {
+    quota.release();
+    throw error;
+  }
+  releaseWhenFinished(prediction.id, quota.release, takeSlots(req, prediction.id));
+
+  console.log('Prediction created with ID:', prediction.id);
+
+  // Store initial state with user info
+  await updatePredictionResult(prediction.id, (current) => ({
+    ...current,
+    userInfo: req.user,
+    engine: 'skoda',
+    endpoint: '/api/generate-skoda-illustration',
+    inputSummary: summarizeInput(modelInput),
+    recipe,
+    status: 'processing'
+  }), { create: true });
+
+  // Webhook calls that arrived before the row above existed were ignored as
+  // unknown IDs, so check once whether the prediction has already finished
+  if (serverUrl) {
+    try {
+      const latest = await provider.getPrediction(prediction.id);
+      const stored = TERMINAL_PREDICTION_STATUSES.includes(latest.status) ? await getPrediction(prediction.id) : null;
+      if (stored && stored.status === 'processing') {
+        await finalizePrediction(stored, latest, 'creation');
       }
-      
-      console.log(`Composition image found: ${settings.compositionImage.substring(0, 50)}...`);
+    } catch (error) {
+      console.error(`Failed to check new prediction ${prediction.id}:`, error.message);
+    }
+  }
+
+  return prediction;
+}
+
+// Add new route for Škoda Illustration
+app.post('/api/generate-skoda-illustration', requireRole('creator'), limitRoute('/api/generate-skoda-illustration'), async (req, res) => {
+  try {
+    console.log('Received Škoda Illustration generation request');
+    const settings = { ...(req.body.settings || {}) };
+
+    // The verified user the request comes from
+    const userInfo = req.user;
+
+    // The frontend may send the reference image as bare base64
+    if (typeof settings.image === 'string' && settings.image && !settings.image.startsWith('data:image/') && !/^https?:\/\//.test(settings.image)) {
+      settings.image = `data:image/jpeg;base64,${settings.image}`;
+    }
+
+    const skodaModel = getModel('skoda');
+    const validated = validateModelInput(skodaModel, [req.body, settings]);
+    if (validated.errors.length) {
+      return sendValidationError(res, validated.errors);
+    }
+
+    const recipe = await prepareSkodaIllustration(req, skodaModel, validated);
+
+    const quota = await checkQuota(req, res, skodaModel, validated.input);
+    if (!quota) return;
+
+    const prediction = await startSkodaIllustration(req, validated.input, recipe, quota);
+
+    // Return immediately with prediction ID
+    res.json({
+      predictionId: prediction.id,
+      status: 'processing',
+      message: 'Image generation started'
+    });
+
+  } catch (error) {
+    console.error('Error generating Škoda illustration:', error);
+    sendError(res, 500, 'GENERATION_FAILED', 'Failed to generate image', { details: error.message });
+  }
+});
+
+// Run a stored recipe again, exactly or with some inputs overridden.
+// Overrides use the same field names as the original request; send
+// "seed": null to let the model pick a new seed.
+app.post('/api/generate-image/replay', requireRole('creator'), limitRoute('/api/generate-image/replay'), async (req, res) => {
+  try {
+    const { predictionId, overrides = {} } = req.body;
+    if (!predictionId) {
+      return sendValidationError(res, [{ field: 'predictionId', code: 'required', message: 'predictionId is required' }]);
+    }
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return sendValidationError(res, [{ field: 'overrides', code: 'invalid_type', message: 'overrides must be an object' }]);
+    }
+
+    const stored = await getPrediction(predictionId);
+    if (!stored) {
+      return sendError(res, 404, 'PREDICTION_NOT_FOUND', 'Prediction not found');
+    }
+
+    if (!canAccessPrediction(req.user, stored.userInfo)) {
+      return sendError(res, 403, 'FORBIDDEN', 'Only the user who started this prediction can replay it');
+    }
+
+    const { recipe } = stored;
+    const model = recipe ? getModel(recipe.engine) : null;
+    if (!recipe || !model) {
+      return sendError(res, 409, 'RECIPE_UNAVAILABLE', 'No replayable recipe was stored for this prediction');
+    }
+
+    let images;
+    try {
+      images = await loadRecipeImages(recipe);
+    } catch (error) {
+      return sendError(res, 409, 'RECIPE_IMAGE_MISSING', 'An input image of this recipe is no longer available', { details: error.message });
+    }
+
+    // The recipe's values, with its recorded seed, fill in anything not overridden
+    const parameters = { ...recipe.parameters, ...images };
+    if (recipe.seed !== null && recipe.seed !== undefined) {
+      parameters.seed = recipe.seed;
+    }
+    if (overrides.seed === null) {
+      delete parameters.seed;
+    }
+
+    // Run against the version the recipe was made with
+    const replayModel = { ...model, version: recipe.version };
+    const validated = validateModelInput(replayModel, [overrides, parameters]);
+    if (validated.errors.length) {
+      return sendValidationError(res, validated.errors);
+    }
+
+    console.log(`Replaying prediction ${predictionId} (${recipe.engine}, version ${recipe.version})`);
+
+    if (recipe.endpoint === '/api/generate-skoda-illustration') {
+      const skodaRecipe = await prepareSkodaIllustration(req, replayModel, validated, predictionId);
+
+      const quota = await checkQuota(req, res, model, validated.input);
+      if (!quota) return;
+
+      const prediction = await startSkodaIllustration(req, validated.input, skodaRecipe, quota);
+
+      return res.json({
+        predictionId: prediction.id,
+        status: 'processing',
+        replayOf: predictionId,
+        message: 'Image generation started'
+      });
+    }
+
+    const { errors: imageErrors, recipe: replayRecipe } = await prepareImageGeneration(req, replayModel, validated, predictionId);
+    if (imageErrors.length) {
+      return sendValidationError(res, imageErrors);
     }
+
+    const quota = await checkQuota(req, res, model, validated.input);
+    if (!quota) return;
+
+    const job = enqueueImageGeneration(req.user, replayModel, validated.input, replayRecipe);
+    releaseWhenFinished(job.id, quota.release, takeSlots(req, job.id));
+    res.status(202).json({ ...queuedJobResponse(job), replayOf: predictionId });
+  } catch (error) {
+    console.error('Error replaying prediction:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to replay prediction', { details: error.message });
+  }
+});
+
+// Add endpoint for clients to check prediction status
+app.get('/api/prediction/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
     
-    // Base input parameters based on model type
-    let input = {};
+    // Get result from the database
+    let result = await getPrediction(id);
     
-    // Set model-specific parameters
-    if (engineType === 'standard') {
-      // Standard model (Flux 1.1 Pro)
-      input = {
-        prompt: cleanPrompt,
-        prompt_upsampling: true,
-        safety_tolerance: 2,
-        output_format: "png",
-        output_quality: 80,
-      };
-      
-      // Check for composition image (if we're in composition mode)
-      if (settings && settings.compositionImage && typeof settings.compositionImage === 'string') {
-        console.log('Standard model with composition image detected');
-        
-        // Check for image parameter which is needed for Replicate API
-        if (!settings.image) {
-          console.warn('Missing image parameter, will use compositionImage instead');
-          settings.image = settings.compositionImage;
-        }
-        
-        let referenceImageUrl = settings.image;
-        console.log(`Using reference image: ${referenceImageUrl.substring(0, 50)}...`);
-        
-        // Process local image if needed
-        if (referenceImageUrl.includes('localhost') || referenceImageUrl.includes('127.0.0.1')) {
-          // Process local image (similar to the code for edge/depth models)
-          // ...existing code...
-        }
-        
-        // Set image parameter for the model
-        input.image = referenceImageUrl;
-      }
-      
-      // Set aspect ratio
-      if (settings && settings.aspectRatio) {
-        input.aspect_ratio = settings.aspectRatio;
-        
-        // Calculate width and height based on aspect ratio
-        const { width, height } = calculateDimensions(settings.aspectRatio);
-        console.log(`Calculated dimensions: ${width}x${height}`);
+    // Other users' predictions are reported as missing, so IDs can't be probed
+    if (!result || !canAccessPrediction(req.user, result.userInfo)) {
+      return sendError(res, 404, 'PREDICTION_NOT_FOUND', 'Prediction not found');
+    }
+
+    // If still processing, check with the provider directly, and finalize
+    // (with its billing row) a prediction whose webhook hasn't arrived
+    if (result.status === 'processing') {
+      const prediction = await provider.getPrediction(id);
+
+      if (TERMINAL_PREDICTION_STATUSES.includes(prediction.status)) {
+        await finalizePrediction(result, prediction, 'status-check');
+        result = await getPrediction(id);
       }
-      
-      if (settings?.steps) {
-        input.num_inference_steps = settings.steps;
+    }
+    
+    res.json(predictionResponse(result));
+  } catch (error) {
+    console.error('Error fetching prediction:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch prediction', { details: error.message });
+  }
+});
+
+// Stream status transitions, provider logs, percent complete and queue
+// position as Server-Sent Events. Accepts a prediction ID or a job ID.
+app.get('/api/prediction/:id/events', async (req, res) => {
+  const { id } = req.params;
+
+  // Subscribe before looking the prediction up, so events published while the
+  // lookup runs (the final one included) are held and sent after the snapshot.
+  // Prediction events are published under both the prediction and the job ID,
+  // so subscribing to the requested ID is enough.
+  const pending = [];
+  let deliver = (event) => pending.push(event);
+  const unsubscribe = subscribeToPrediction(id, (event) => deliver(event));
+
+  try {
+    const job = getJob(id);
+    const stored = job ? null : (await getPrediction(id) || await getPredictionByJobId(id));
+
+    if ((!job && !stored) || !canAccessPrediction(req.user, job ? job.userInfo : stored.userInfo)) {
+      unsubscribe();
+      return sendError(res, 404, 'PREDICTION_NOT_FOUND', 'Prediction not found');
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Job streams end when the job finishes (its event carries the result);
+    // prediction streams end on the prediction's final status
+    const isJobStream = Boolean(job);
+    const isFinalEvent = (event) => event.type === 'status' && event.terminal &&
+      (event.source === 'job' || (!isJobStream && event.source === 'prediction'));
+
+    // Start with a snapshot of the current state
+    const snapshot = job
+      ? jobStatusEvent(job)
+      : {
+        type: 'status',
+        source: 'prediction',
+        ...predictionResponse(stored),
+        terminal: stored.status !== 'processing'
+      };
+    sendEvent(snapshot);
+
+    if (snapshot.terminal) {
+      unsubscribe();
+      return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    deliver = (event) => {
+      if (res.writableEnded) return;
+      sendEvent(event);
+      if (isFinalEvent(event)) {
+        close();
+        res.end();
       }
-      
-      if (settings?.guidance) {
-        input.guidance_scale = settings.guidance;
+    };
+    pending.forEach(event => deliver(event));
+
+    req.on('close', close);
+  } catch (error) {
+    unsubscribe();
+    console.error('Error streaming prediction events:', error);
+    if (!res.headersSent) {
+      sendError(res, 500, 'INTERNAL_ERROR', 'Failed to stream prediction events', { details: error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Cancel a running generation, upscale or SVG conversion.
+// Accepts either a prediction ID or a job ID.
+app.post('/api/prediction/:id/cancel', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Resolve the job and the stored prediction from either kind of ID
+    let job = getJob(id);
+    let stored = job && job.predictionId ? await getPrediction(job.predictionId) : null;
+    if (!job) {
+      stored = await getPrediction(id) || await getPredictionByJobId(id);
+      job = stored && stored.jobId ? getJob(stored.jobId) : null;
+    }
+
+    if (!job && !stored) {
+      return sendError(res, 404, 'PREDICTION_NOT_FOUND', 'Prediction not found');
+    }
+
+    const owner = job ? job.userInfo : stored.userInfo;
+    if (!canAccessPrediction(req.user, owner)) {
+      return sendError(res, 403, 'FORBIDDEN', 'Only the user who started this prediction can cancel it');
+    }
+
+    const finished = job ? isJobFinished(job) : stored.status !== 'processing';
+    if (finished) {
+      return sendError(res, 409, 'ALREADY_FINISHED', 'Prediction has already finished', {
+        details: { status: job ? job.status : stored.status }
+      });
+    }
+
+    // Stop the queue worker first so it doesn't keep polling
+    if (job) {
+      cancelJob(job.id);
+    }
+
+    const predictionId = (job && job.predictionId) || (stored && stored.id) || null;
+    if (predictionId) {
+      await cancelPrediction(predictionId);
+    }
+
+    // Log the cancellation with its own status; claiming the billing row keeps
+    // reconciliation from logging this prediction again
+    if (!predictionId || await shouldLogBilling(predictionId)) {
+      await logApiCall(
+        owner || req.user,
+        (stored && stored.endpoint) || `/api/${job ? job.type : 'prediction'}`,
+        'POST',
+        CANCELLED_STATUS_CODE,
+        { predictionId, jobId: job ? job.id : (stored && stored.jobId) || null, engine: stored ? stored.engine : null },
+        { success: false, cancelled: true },
+        'Cancelled by user'
+      );
+    }
+
+    res.json({
+      predictionId,
+      jobId: job ? job.id : (stored && stored.jobId) || null,
+      status: 'cancelled',
+      message: 'Prediction cancelled'
+    });
+  } catch (error) {
+    console.error('Error cancelling prediction:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to cancel prediction', { details: error.message });
+  }
+});
+
+// Add static route for serving thumbnail images
+app.get('/ThumbnailImages/:name', serveStoredFile(THUMBNAILS_PREFIX));
+
+// URL stored for a gallery image. API responses replace it with a signed URL.
+function localThumbnailUrl(filename, req = null) {
+  return `${publicUrls.resolve(req)}/ThumbnailImages/${filename}`;
+}
+
+// Add helper functions for thumbnail management. Images are stored under
+// their SHA-256, so the same image is only stored once. Returns the local
+// URL, storage key and SHA-256 of the image.
+async function downloadAndSaveImage(imageUrl, req = null) {
+  try {
+    // If the URL is already a local path, verify it exists and return it
+    const storedKey = publicUrls.isLocalUrl(imageUrl, req) && storedFileKeyFromUrl(imageUrl);
+    if (storedKey && storedKey.startsWith(THUMBNAILS_PREFIX)) {
+      const body = await fileStorage.get(storedKey);
+      if (body) {
+        // File exists. Return the unsigned URL, which is what gets stored.
+        return { url: localThumbnailUrl(path.basename(storedKey), req), key: storedKey, contentHash: contentHash(body) };
       }
-      
-      // Handle reference image for standard model if provided
-      if (settings?.referenceImage && typeof settings.referenceImage === 'string') {
-        let referenceImageUrl = settings.referenceImage;
+      console.log('Stored file not found, will attempt to download again');
+      // Continue with download process
+    }
+
+    let response;
+    let retryCount = 0;
+    const maxRetries = 3;
+
+    while (retryCount < maxRetries) {
+      try {
+        response = await axios({
+          url: imageUrl,
+          responseType: 'arraybuffer',
+          timeout: 30000, // Increased timeout to 30 seconds
+          maxContentLength: 50 * 1024 * 1024, // 50MB max
+          validateStatus: false // Don't reject on any status code
+        });
+
+        if (response.status === 200) {
+          break; // Successful download
+        }
+        
+        console.log(`Attempt ${retryCount + 1}: Status ${response.status}`);
+        retryCount++;
+        await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds before retry
+  } catch (error) {
+        console.error(`Download attempt ${retryCount + 1} failed:`, error.message);
         
-        // Check if the image is from our local server
-        if (referenceImageUrl.includes('localhost') || referenceImageUrl.includes('127.0.0.1')) {
-          console.log('Processing local reference image...');
+        // Try alternative URL if available
+        if (imageUrl.includes('replicate.delivery')) {
+          const altUrl = imageUrl.replace('replicate.delivery', 'replicate.com');
           try {
-            // Extract filename from URL
-            const filename = referenceImageUrl.substring(referenceImageUrl.lastIndexOf('/') + 1);
-            const localFilePath = path.join(UPLOADS_DIR, filename);
-            
-            // Use our data URI helper function
-            const dataUri = await createDataUri(localFilePath);
-            
-            // Use the data URI directly with the model
-            input.image_base64 = dataUri;
-            console.log('Reference image prepared as data URI');
-          } catch (fileError) {
-            console.error('Failed to prepare reference image:', fileError.message);
-            return res.status(400).json({ 
-              error: 'Failed to prepare reference image' 
+            response = await axios({
+              url: altUrl,
+              responseType: 'arraybuffer',
+              timeout: 30000
             });
+            if (response.status === 200) break;
+          } catch (altError) {
+            console.error('Alternative URL failed:', altError.message);
           }
-        } else if (referenceImageUrl.startsWith('data:')) {
-          // Image is already in base64/data URI format
-          input.image_base64 = referenceImageUrl;
-          console.log('Using provided data URI reference image');
+        }
+        
+        retryCount++;
+        if (retryCount < maxRetries) {
+          await new Promise(resolve => setTimeout(resolve, 2000));
         } else {
-          // External URL, set it directly
-          input.image = referenceImageUrl;
-          console.log('Using external reference image URL');
+          throw new Error('Max retries reached for download');
         }
       }
-    } 
-    else if (engineType === 'edge' || engineType === 'depth') {
-      // ControlNet models (Canny/Depth)
-      // Validate composition image
-      if (!settings || !settings.compositionImage || typeof settings.compositionImage !== 'string') {
-        console.error('Missing compositionImage parameter in settings');
-        return res.status(400).json({ 
-          error: 'Composition image is required'
-        });
+    }
+
+    if (!response || response.status !== 200) {
+      throw new Error(`Failed to download image after ${maxRetries} attempts`);
+    }
+
+    // Write file with verification
+    const stored = await putContentAddressed(fileStorage, THUMBNAILS_PREFIX, Buffer.from(response.data), {
+      extension: '.png',
+      contentType: 'image/png'
+    });
+    const { key, filename } = stored;
+    if (stored.existed) {
+      console.log(`Image already stored as ${key}`);
+    }
+    
+    // Verify file was written correctly
+    try {
+      const stats = await fileStorage.stat(key);
+      if (!stats) {
+        throw new Error('File was not stored');
+      }
+      if (stats.size === 0) {
+        throw new Error('File was created but is empty');
       }
-      
-      // Check for control_image parameter which is needed for Replicate API
-      if (settings && !settings.control_image) {
-        console.warn('Missing control_image parameter, will use compositionImage instead');
-        settings.control_image = settings.compositionImage;
+      console.log(`File saved successfully: ${key} (${stats.size} bytes)`);
+    } catch (error) {
+      throw new Error(`File verification failed: ${error.message}`);
+    }
+
+    // Return the local path with correct URL format
+    const localUrl = localThumbnailUrl(filename, req);
+    console.log('Local URL created:', localUrl);
+    
+    return { url: localUrl, key, contentHash: stored.contentHash };
+  } catch (error) {
+    console.error('Error in downloadAndSaveImage:', error);
+    throw error;
+  }
+}
+
+async function cleanupThumbnails() {
+  try {
+    console.log('Starting thumbnails cleanup...');
+    
+    // Read thumbnails from the database
+    let thumbnails = [];
+    try {
+      thumbnails = await getThumbnails();
+    } catch (error) {
+      console.error('Error reading thumbnails:', error);
+      return;
+    }
+
+    let validCount = 0;
+    // Track processed URLs per user to avoid duplicates. Identical images
+    // saved by different users share a URL, and each keeps their entry.
+    const processedUrls = new Set();
+
+    for (const thumbnail of thumbnails) {
+      // Drop duplicates of a URL we've already processed
+      if (processedUrls.has(`${thumbnail.userId}|${thumbnail.url}`)) {
+        await deleteThumbnail(thumbnail.id);
+        continue;
       }
-      
-      let compositionImageUrl = settings.control_image || settings.compositionImage;
-      console.log(`Using composition image: ${compositionImageUrl.substring(0, 50)}...`);
-      
-      // Check if the image is from our local server
-      if (compositionImageUrl.includes('localhost') || compositionImageUrl.includes('127.0.0.1')) {
-        console.log('Using direct local file for edge/depth model...');
+
+      let isValid = false;
+      let localUrl = thumbnail.url;
+      let imageHash = thumbnail.contentHash;
+
+      // Stored URLs are our own, whatever host they were saved with
+      const storedKey = storedFileKeyFromUrl(thumbnail.url);
+      if (storedKey && storedKey.startsWith(THUMBNAILS_PREFIX)) {
+        const filename = path.basename(storedKey);
+
         try {
-          // Extract filename from URL
-          const filename = compositionImageUrl.substring(compositionImageUrl.lastIndexOf('/') + 1);
-          const localFilePath = path.join(UPLOADS_DIR, filename);
-          
-          console.log(`Extracted local filename: ${filename}`);
-          console.log(`Full local file path: ${localFilePath}`);
-          
-          // Test if file exists
-          try {
-            await fsPromises.access(localFilePath);
-            console.log(`File exists at: ${localFilePath}`);
-          } catch (e) {
-            console.error(`File does not exist at: ${localFilePath}`);
-            return res.status(400).json({ error: 'Composition image file not found' });
+          const stats = await fileStorage.stat(`${THUMBNAILS_PREFIX}${filename}`);
+          if (!stats) {
+            console.log(`Missing file: ${filename}, attempting to redownload`);
+          } else if (stats.size > 0) {
+            isValid = true;
+          } else {
+            console.log(`Empty file found: ${filename}, attempting to redownload`);
           }
-          
-          // Upload to Replicate CDN to get a public URL
+        } catch (error) {
+          console.log(`Could not check file ${filename}: ${error.message}, attempting to redownload`);
+        }
+
+        if (!isValid && thumbnail.originalUrl) {
           try {
-            console.log('Uploading to Replicate CDN for edge/depth model...');
-            compositionImageUrl = await uploadToReplicateCDN(localFilePath);
-            console.log(`Image uploaded to Replicate CDN: ${compositionImageUrl.substring(0, 50)}...`);
-          } catch (replicateUploadError) {
-            console.error('Replicate CDN upload failed:', replicateUploadError.message);
-            
-            // Fall back to previous methods if Replicate CDN fails
-            console.log('Falling back to previous methods...');
-            
-            // Try preprocessing if it's still an option
-            try {
-              console.log('Trying preprocessing with Replicate...');
-              // ... existing preprocessing code ...
-            } catch (preprocessError) {
-              console.error('Preprocessing error:', preprocessError.message);
-              
-              // Try data URI approach
-              try {
-                console.log('Falling back to direct data URI for the main model...');
-                const dataUri = await createDataUri(localFilePath);
-                compositionImageUrl = dataUri;
-                console.log('Using data URI directly with main model');
-              } catch (dataUriError) {
-                console.error('Data URI creation failed:', dataUriError.message);
-                
-                // Fall back to previous approaches only as a last resort
-                console.log('Falling back to external image hosting services...');
-                
-                // ... existing fallback code ...
-              }
-            }
+            ({ url: localUrl, contentHash: imageHash } = await downloadAndSaveImage(thumbnail.originalUrl));
+            isValid = true;
+          } catch (error) {
+            console.error('Failed to redownload:', error.message);
           }
-          
-        } catch (fileError) {
-          console.error('Failed to process composition image:', fileError.message);
-          return res.status(400).json({ 
-            error: 'Failed to process image file' 
-          });
         }
-      }
-      
-      // Now set the parameters based on the URL type
-      input = {
-        prompt: cleanPrompt,
-        output_format: "png",
-        output_quality: 80,
-        safety_tolerance: 2,
-        prompt_upsampling: true
-      };
-      
-      // Set the control_image parameter regardless of URL type
-      // The parameter can accept both data URIs and regular URLs
-      input.control_image = compositionImageUrl;
-      
-      // Set aspect ratio
-      if (settings && settings.aspectRatio) {
-        input.aspect_ratio = settings.aspectRatio;
-      }
-      
-      // Add steps and guidance if provided
-      if (settings?.steps) {
-        input.steps = settings.steps;
-      }
-      
-      if (settings?.guidance) {
-        input.guidance = settings.guidance;
-      }
-    } 
-    else if (engineType === 'character') {
-      // Pulid model
-      // Validate character image
-      const characterImage = main_face_image || settings?.characterImage;
-      
-      if (!characterImage) {
-        console.error('Character image is missing');
-        return res.status(400).json({ 
-          error: 'Character image is required'
-        });
-      }
-      
-      let characterImageUrl = characterImage;
-      
-      // Check if the image is from our local server
-      if (characterImageUrl.includes('localhost') || characterImageUrl.includes('127.0.0.1')) {
-        console.log('Processing local character image...');
+      } else {
         try {
-          // Extract filename from URL
-          const filename = characterImageUrl.substring(characterImageUrl.lastIndexOf('/') + 1);
-          const localFilePath = path.join(UPLOADS_DIR, filename);
-          
-          // First check if file exists
-          try {
-            await fsPromises.access(localFilePath);
-            console.log(`Character image file exists at: ${localFilePath}`);
-          } catch (e) {
-            console.error(`Character image file not found at: ${localFilePath}`);
-            return res.status(400).json({ error: 'Character image file not found' });
-          }
-          
-          // Convert to data URI
-          try {
-            console.log('Converting character image to data URI...');
-            const dataUri = await createDataUri(localFilePath);
-            characterImageUrl = dataUri;
-            console.log('Character image converted to data URI successfully');
-          } catch (dataUriError) {
-            console.error('Data URI creation failed:', dataUriError.message);
-            return res.status(400).json({ error: 'Failed to process character image' });
-          }
-        } catch (fileError) {
-          console.error('Failed to read character image file:', fileError.message);
-          return res.status(400).json({ 
-            error: 'Failed to read image file. Please try again with a different image.' 
-          });
+          ({ url: localUrl, contentHash: imageHash } = await downloadAndSaveImage(thumbnail.url));
+          isValid = true;
+        } catch (error) {
+          console.error('Failed to download non-local thumbnail:', error.message);
         }
       }
-      
-      // Now set the parameters for the character model
-      input = {
-        prompt: cleanPrompt,
-        main_face_image: characterImageUrl,
-        start_step: settings?.start_step || 4,
-        num_outputs: settings?.num_outputs || 4,
-        negative_prompt: settings?.negative_prompt || "bad quality, worst quality, text, signature, watermark, extra limbs",
-        aspect_ratio: settings?.aspect_ratio || "1:1",
-        num_inference_steps: settings?.num_inference_steps || 30,
-        guidance_scale: settings?.guidance_scale || 7.5
-      };
-      
-      console.log('Character model input prepared:', {
-        ...input,
-        main_face_image: input.main_face_image ? 'IMAGE_DATA_PRESENT' : 'MISSING'
-      });
-    }
-    
-    // Log the input for debugging
-    console.log('----------------------------------------');
-    console.log('FINAL MODEL INPUT:');
-    console.log(`Model: ${selectedModel.model || "No model name"}`);
-    console.log(`Version: ${selectedModel.version}`);
-    console.log('Input parameters:');
-    
-    // Create a safe copy for logging that doesn't include full image data
-    const safeInput = { ...input };
-    if (safeInput.control_image && typeof safeInput.control_image === 'string') {
-      if (safeInput.control_image.length > 100) {
-        safeInput.control_image = `${safeInput.control_image.substring(0, 50)}... [truncated]`;
+
+      if (isValid) {
+        if (localUrl !== thumbnail.url || !thumbnail.originalUrl) {
+          await updateThumbnailUrls(thumbnail.id, localUrl, thumbnail.originalUrl || thumbnail.url, imageHash);
+        }
+        processedUrls.add(`${thumbnail.userId}|${localUrl}`);
+        validCount++;
+      } else {
+        await deleteThumbnail(thumbnail.id);
       }
     }
-    if (safeInput.image && typeof safeInput.image === 'string') {
-      if (safeInput.image.length > 100) {
-        safeInput.image = `${safeInput.image.substring(0, 50)}... [truncated]`;
+
+    console.log(`Thumbnails cleanup completed. Valid thumbnails: ${validCount}`);
+  } catch (error) {
+    console.error('Error during thumbnails cleanup:', error);
+  }
+}
+
+// Gallery listing options
+const THUMBNAIL_SORT_OPTIONS = ['newest', 'oldest', 'most_used'];
+const DEFAULT_THUMBNAIL_PAGE_SIZE = 50;
+const MAX_THUMBNAIL_PAGE_SIZE = 100;
+const MAX_THUMBNAIL_SEARCH_LENGTH = 200;
+
+// Cursors are opaque to clients: the sort order plus the last entry's sort key
+function encodeThumbnailCursor(sort, thumbnail) {
+  return Buffer.from(JSON.stringify({ sort, key: thumbnailSortKey(thumbnail, sort) })).toString('base64url');
+}
+
+// Checks for each part of a sort key, so a crafted cursor can't reach the query
+const THUMBNAIL_SORT_KEY_CHECKS = {
+  use_count: value => Number.isInteger(value) && value >= 0,
+  created_at: value => typeof value === 'string' && !isNaN(new Date(value).getTime()),
+  id: value => typeof value === 'string' && value.length > 0 && value.length <= 64
+};
+
+function decodeThumbnailCursor(cursor, sort) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const columns = thumbnailSortColumns(sort);
+    if (decoded && decoded.sort === sort && Array.isArray(decoded.key) && decoded.key.length === columns.length &&
+      columns.every((column, index) => THUMBNAIL_SORT_KEY_CHECKS[column](decoded.key[index]))) {
+      return decoded.key;
+    }
+  } catch (error) {
+    // Fall through to the validation error
+  }
+  return null;
+}
+
+// Parse a from/to date filter. Date-only values cover the whole day.
+function parseDateFilter(value, endOfDay) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+// List gallery entries a page at a time. Users see their own entries; admins
+// can pass owner=<user id> or owner=all.
+app.get('/api/thumbnails', async (req, res) => {
+  try {
+    const { owner, engine, from, to, q, cursor } = req.query;
+    const sort = req.query.sort || 'newest';
+    const errors = [];
+
+    if (!THUMBNAIL_SORT_OPTIONS.includes(sort)) {
+      errors.push({ field: 'sort', code: 'invalid_enum', message: `sort must be one of: ${THUMBNAIL_SORT_OPTIONS.join(', ')}` });
+    }
+
+    const limit = req.query.limit === undefined ? DEFAULT_THUMBNAIL_PAGE_SIZE : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_THUMBNAIL_PAGE_SIZE) {
+      errors.push({ field: 'limit', code: 'out_of_range', message: `limit must be an integer between 1 and ${MAX_THUMBNAIL_PAGE_SIZE}` });
+    }
+
+    const engines = engine ? String(engine).split(',').map(value => value.trim()).filter(Boolean) : [];
+    const knownEngines = listModels().map(model => model.key);
+    const unknownEngines = engines.filter(value => !knownEngines.includes(value));
+    if (unknownEngines.length) {
+      errors.push({ field: 'engine', code: 'invalid_enum', message: `engine must be one of: ${knownEngines.join(', ')}` });
+    }
+
+    const fromDate = from ? parseDateFilter(String(from), false) : null;
+    if (from && !fromDate) {
+      errors.push({ field: 'from', code: 'invalid_type', message: 'from must be a date' });
+    }
+    const toDate = to ? parseDateFilter(String(to), true) : null;
+    if (to && !toDate) {
+      errors.push({ field: 'to', code: 'invalid_type', message: 'to must be a date' });
+    }
+
+    const search = q ? String(q).trim() : '';
+    if (search.length > MAX_THUMBNAIL_SEARCH_LENGTH) {
+      errors.push({ field: 'q', code: 'too_long', message: `q must be at most ${MAX_THUMBNAIL_SEARCH_LENGTH} characters` });
+    }
+
+    const after = cursor && THUMBNAIL_SORT_OPTIONS.includes(sort) ? decodeThumbnailCursor(String(cursor), sort) : null;
+    if (cursor && !after) {
+      errors.push({ field: 'cursor', code: 'invalid_cursor', message: 'cursor is invalid or belongs to another sort order' });
+    }
+
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    // Default to the current user's gallery
+    const ownerId = owner || req.user.id;
+    if (ownerId !== req.user.id && !isAdmin(req.user)) {
+      return sendError(res, 403, 'FORBIDDEN', 'You can only list your own thumbnails');
+    }
+
+    const page = await listThumbnails({
+      ownerId: ownerId === 'all' ? null : ownerId,
+      engines,
+      from: fromDate,
+      to: toDate,
+      search: search || null,
+      sort,
+      limit,
+      after
+    });
+
+    const last = page.items[page.items.length - 1];
+    res.json({
+      items: page.items.map(thumbnail => thumbnailResponse(req, thumbnail)),
+      total: page.total,
+      engineCounts: page.engineCounts,
+      limit,
+      hasMore: page.hasMore,
+      nextCursor: page.hasMore && last ? encodeThumbnailCursor(sort, last) : null
+    });
+  } catch (error) {
+    console.error('Error reading thumbnails:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch thumbnails');
+  }
+});
+
+// Limits for the editable gallery metadata
+const THUMBNAIL_METADATA_LIMITS = {
+  title: 255,
+  description: 2000,
+  altText: 1000
+};
+const MAX_THUMBNAIL_TAGS = 20;
+const MAX_THUMBNAIL_TAG_LENGTH = 50;
+
+// Validate title/description/tags/altText in a request body. Returns the
+// changes (trimmed, with tags deduplicated) and any field errors. Empty
+// strings and null clear a field.
+function validateThumbnailMetadata(body) {
+  const changes = {};
+  const errors = [];
+
+  for (const [field, maxLength] of Object.entries(THUMBNAIL_METADATA_LIMITS)) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      changes[field] = null;
+    } else if (typeof value !== 'string') {
+      errors.push({ field, code: 'invalid_type', message: `${field} must be a string` });
+    } else if (value.trim().length > maxLength) {
+      errors.push({ field, code: 'too_long', message: `${field} must be at most ${maxLength} characters` });
+    } else {
+      changes[field] = value.trim() || null;
+    }
+  }
+
+  if (body.tags !== undefined) {
+    if (body.tags === null) {
+      changes.tags = [];
+    } else if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string')) {
+      errors.push({ field: 'tags', code: 'invalid_type', message: 'tags must be a list of strings' });
+    } else {
+      const tags = [...new Set(body.tags.map(tag => tag.trim()).filter(Boolean))];
+      if (tags.length > MAX_THUMBNAIL_TAGS) {
+        errors.push({ field: 'tags', code: 'out_of_range', message: `tags can have at most ${MAX_THUMBNAIL_TAGS} entries` });
+      } else if (tags.some(tag => tag.length > MAX_THUMBNAIL_TAG_LENGTH)) {
+        errors.push({ field: 'tags', code: 'too_long', message: `each tag must be at most ${MAX_THUMBNAIL_TAG_LENGTH} characters` });
+      } else {
+        changes.tags = tags;
       }
     }
+  }
+
+  return { changes, errors };
+}
+
+// Path of a gallery entry's resized images (see /api/thumbnails/:id/image)
+function thumbnailImagePath(id) {
+  return `/api/thumbnails/${encodeURIComponent(id)}/image`;
+}
+
+// A gallery entry as returned by the API: `url` becomes a signed link to the
+// stored image and `imageUrl` a signed link to its resized copies (add
+// &size=... to pick one)
+function thumbnailResponse(req, thumbnail) {
+  return {
+    ...thumbnail,
+    url: signStoredFileUrl(req, thumbnail.url),
+    imageUrl: signedUrl(req, thumbnailImagePath(thumbnail.id))
+  };
+}
+
+// Only the owner of a gallery entry or an admin may change it
+function canModifyThumbnail(user, thumbnail) {
+  return Boolean(user && ((thumbnail.userId && thumbnail.userId === user.id) || isAdmin(user)));
+}
+
+// Store a new thumbnail
+app.post('/api/thumbnails', requireRole('creator'), async (req, res) => {
+  try {
+    const thumbnail = { ...req.body };
     
-    console.log(JSON.stringify(safeInput, null, 2));
-    console.log('----------------------------------------');
-    
-    // Create prediction using the Replicate API
-    let prediction;
-    // Always use direct version ID for predictable behavior
-    console.log(`Creating prediction with version: ${selectedModel.version}`);
-    
-    try {
-      prediction = await replicate.predictions.create({
-        version: selectedModel.version,
-        input: input
-      });
-      
-      console.log(`Prediction created with ID: ${prediction.id}`);
-      console.log(`Initial status: ${prediction.status}`);
-    } catch (createError) {
-      console.error('Error creating prediction:', createError);
-      console.error('Error details:', createError.message);
-      throw new Error(`Failed to create prediction: ${createError.message}`);
+    const missing = ['url', 'prompt']
+      .filter(field => !thumbnail[field])
+      .map(field => ({ field, code: 'required', message: `${field} is required` }));
+    const metadata = validateThumbnailMetadata(thumbnail);
+    if (missing.length || metadata.errors.length) {
+      return sendValidationError(res, [...missing, ...metadata.errors]);
     }
+    Object.assign(thumbnail, metadata.changes);
 
-    // Poll for the result
-    let result = prediction;
-    let attempts = 0;
-    const maxAttempts = 300; // Poll for up to 90 seconds (increased from 60)
-    
-    while (result.status !== 'succeeded' && result.status !== 'failed' && attempts < maxAttempts) {
-      console.log(`Polling attempt ${attempts + 1}/${maxAttempts}. Status: ${result.status}`);
-      
-      // Wait 1 second between polls
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Get updated prediction status
+    if (!thumbnail.timestamp) {
+      thumbnail.timestamp = new Date().toISOString();
+    }
+
+    // The verified user the request comes from
+    const userInfo = req.user;
+
+    // Log the received user info
+    console.log('Processing thumbnail with user info:', userInfo);
+
+    let saved;
+    let retryCount = 0;
+    const maxRetries = 3;
+
+    while (retryCount < maxRetries) {
       try {
-        result = await replicate.predictions.get(prediction.id);
-      } catch (pollingError) {
-        console.error('Error during polling:', pollingError.message);
+        saved = await downloadAndSaveImage(thumbnail.url, req);
+        
+        // Verify the saved image is accessible
+        const stats = await fileStorage.stat(saved.key);
+        
+        if (stats && stats.size > 0) {
+          break; // File exists and has content
+        } else {
+          throw new Error('Saved file is empty');
+        }
+      } catch (error) {
+        console.error(`Attempt ${retryCount + 1} failed:`, error.message);
+        retryCount++;
         
-        // If we can't get prediction status but haven't reached max attempts, continue
-        if (attempts < maxAttempts - 1) {
-          console.log('Will try polling again...');
-          continue;
+        if (retryCount >= maxRetries) {
+          return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to save image after multiple attempts');
         }
         
-        throw pollingError;
+        await new Promise(resolve => setTimeout(resolve, 2000)); // Wait before retry
+      }
+    }
+
+    const localImageUrl = saved.url;
+
+    // Saving the same image twice returns the entry that already has it
+    const existing = await findThumbnailByContentHash(saved.contentHash, userInfo.id);
+    if (existing) {
+      console.log(`Image is already in the gallery of ${userInfo.id} as ${existing.id}`);
+      return res.json({ ...thumbnailResponse(req, existing), duplicate: true });
+    }
+
+    // Resized copies for gallery grids. Entries are still saved if this
+    // fails; the image endpoint retries on the first request.
+    let derivatives = null;
+    try {
+      derivatives = await createDerivatives(fileStorage, saved.key);
+    } catch (error) {
+      console.error('Failed to create thumbnail derivatives:', error.message);
+    }
+
+    // Store both URLs in the thumbnail object
+    // IDs are always assigned by the server
+    let updatedThumbnail = {
+      ...thumbnail,
+      id: crypto.randomUUID(),
+      originalUrl: thumbnail.url,
+      url: localImageUrl,
+      localPath: localImageUrl.split('/').pop(), // Store filename for verification
+      contentHash: saved.contentHash,
+      derivatives,
+      userId: userInfo.id,
+      userName: userInfo.name,
+      userEmail: userInfo.email
+    };
+
+    try {
+      updatedThumbnail = await saveThumbnail(updatedThumbnail);
+    } catch (error) {
+      console.error('Failed to save thumbnail metadata:', error);
+      return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to save thumbnail metadata', { details: error.message });
+    }
+
+    // Log the successful image generation for billing
+    console.log('Logging successful generation with user info:', userInfo);
+    await logApiCall(
+      userInfo,
+      '/api/thumbnails',
+      'POST',
+      200,
+      { prompt: thumbnail.prompt, settings: thumbnail.settings },
+      { success: true, imageUrl: localImageUrl },
+      null
+    );
+
+    res.json({ ...thumbnailResponse(req, updatedThumbnail), duplicate: false });
+  } catch (error) {
+    console.error('Error storing thumbnail:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to store thumbnail');
+  }
+});
+
+// Count a use of a gallery entry, for the "most used" sort
+app.post('/api/thumbnails/:id/use', requireRole('creator'), async (req, res) => {
+  try {
+    const thumbnail = await getThumbnail(req.params.id);
+    if (!thumbnail) {
+      return sendError(res, 404, 'THUMBNAIL_NOT_FOUND', 'Thumbnail not found');
+    }
+    if (thumbnail.userId !== req.user.id && !isAdmin(req.user)) {
+      return sendError(res, 403, 'FORBIDDEN', 'You can only use your own thumbnails');
+    }
+
+    const updated = await recordThumbnailUse(thumbnail.id);
+    res.json({ id: updated.id, useCount: updated.useCount, lastUsedAt: updated.lastUsedAt });
+  } catch (error) {
+    console.error('Error recording thumbnail use:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to record thumbnail use', { details: error.message });
+  }
+});
+
+// Storage key of a gallery entry's full-size image, or null for entries
+// that were never downloaded
+function thumbnailFileKey(thumbnail) {
+  if (thumbnail.localPath) {
+    return `${THUMBNAILS_PREFIX}${path.basename(thumbnail.localPath)}`;
+  }
+  const key = thumbnail.url && storedFileKeyFromUrl(thumbnail.url);
+  return key && key.startsWith(THUMBNAILS_PREFIX) ? key : null;
+}
+
+// Derivatives of an entry that include `size` in `format`. Entries saved
+// before derivatives existed, or whose files have gone missing, get them
+// created now.
+async function ensureThumbnailDerivatives(thumbnail, size, format) {
+  const existing = thumbnail.derivatives;
+  const filename = existing && existing.sizes && existing.sizes[size] && existing.sizes[size][format];
+  if (filename && await fileStorage.stat(`${THUMBNAILS_PREFIX}${filename}`)) {
+    return existing;
+  }
+
+  const derivatives = await createDerivatives(fileStorage, thumbnailFileKey(thumbnail));
+  await updateThumbnailDerivatives(thumbnail.id, derivatives);
+  return derivatives;
+}
+
+const THUMBNAIL_IMAGE_SIZES = [...Object.keys(DERIVATIVE_SIZES), 'original'];
+
+// Serve a gallery image at the given size (small, medium, large or original).
+// The format is WebP, or AVIF for browsers that accept it, unless
+// format=webp|avif is passed. Requests must be signed; use the entry's
+// `imageUrl`.
+app.get('/api/thumbnails/:id/image', async (req, res) => {
+  try {
+    const signature = requireSignature(req, res, thumbnailImagePath(req.params.id));
+    if (!signature) return;
+
+    const size = req.query.size || 'medium';
+    const errors = [];
+    if (!THUMBNAIL_IMAGE_SIZES.includes(size)) {
+      errors.push({ field: 'size', code: 'invalid_enum', message: `size must be one of: ${THUMBNAIL_IMAGE_SIZES.join(', ')}` });
+    }
+    const formats = Object.keys(DERIVATIVE_FORMATS);
+    if (req.query.format !== undefined && !formats.includes(req.query.format)) {
+      errors.push({ field: 'format', code: 'invalid_enum', message: `format must be one of: ${formats.join(', ')}` });
+    }
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const thumbnail = await getThumbnail(req.params.id);
+    const originalKey = thumbnail && thumbnailFileKey(thumbnail);
+    if (!originalKey || !await fileStorage.stat(originalKey)) {
+      return sendError(res, 404, 'IMAGE_NOT_FOUND', 'Image not found');
+    }
+
+    // Send a stored file, or the original if it has disappeared meanwhile
+    const sendImage = async (key, contentType) => {
+      if (!await sendStoredFile(res, key, signature, contentType)) {
+        sendError(res, 404, 'IMAGE_NOT_FOUND', 'Image not found');
       }
-      
-      attempts++;
-    }
+    };
 
-    if (result.status === 'failed') {
-      const errorMessage = result.error || 'Unknown error';
-      console.error(`Prediction failed: ${errorMessage}`);
-      console.error('Full prediction object:', JSON.stringify(result, null, 2));
-      throw new Error(`Prediction failed: ${errorMessage}`);
+    if (size === 'original') {
+      return sendImage(originalKey, contentTypeFor(originalKey));
     }
 
-    if (attempts >= maxAttempts && result.status !== 'succeeded') {
-      console.error('Prediction timed out. Last status:', result.status);
-      console.error('Full prediction object:', JSON.stringify(result, null, 2));
-      throw new Error(`Prediction timed out after ${maxAttempts} seconds. Last status: ${result.status}`);
+    const format = req.query.format || ((req.get('accept') || '').includes('image/avif') ? 'avif' : 'webp');
+    res.set('Vary', 'Accept');
+
+    let derivatives;
+    try {
+      derivatives = await ensureThumbnailDerivatives(thumbnail, size, format);
+    } catch (error) {
+      // Better a slow image than a broken one
+      console.error(`Failed to create derivatives for thumbnail ${thumbnail.id}:`, error.message);
+      return sendImage(originalKey, contentTypeFor(originalKey));
     }
 
-    console.log('Prediction succeeded:', result.id);
-    console.log('Output:', result.output);
+    await sendImage(`${THUMBNAILS_PREFIX}${derivatives.sizes[size][format]}`, `image/${format}`);
+  } catch (error) {
+    console.error('Error serving thumbnail image:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to serve image', { details: error.message });
+  }
+});
 
-    // Process the output based on model type
-    let imageUrls = [];
-    if (engineType === 'character') {
-      // Character model might return multiple images
-      imageUrls = Array.isArray(result.output) ? result.output : [result.output];
-    } else if (Array.isArray(result.output)) {
-      // If output is an array, use it directly
-      imageUrls = result.output;
-    } else if (result.output && typeof result.output === 'string') {
-      // If output is a single string (URL), put it in an array
-      imageUrls = [result.output];
-    } else if (result.output && result.output.image) {
-      // Some ControlNet models return { image: URL }
-      imageUrls = [result.output.image];
-    } else if (result.output && result.output.images) {
-      // Some models return { images: [URL, URL, ...] }
-      imageUrls = result.output.images;
-    } else {
-      throw new Error('Unexpected output format from model');
+// Edit a thumbnail's title, description, tags or alt text
+app.patch('/api/thumbnails/:id', async (req, res) => {
+  try {
+    const editable = ['title', 'description', 'tags', 'altText'];
+    const unknown = Object.keys(req.body || {}).filter(field => !editable.includes(field));
+    const { changes, errors } = validateThumbnailMetadata(req.body || {});
+    unknown.forEach(field => errors.push({ field, code: 'not_editable', message: `${field} cannot be changed` }));
+    if (!errors.length && !Object.keys(changes).length) {
+      errors.push({ field: null, code: 'required', message: `Provide at least one of: ${editable.join(', ')}` });
     }
-
-    if (!imageUrls.length) {
-      throw new Error('No output images received from the model');
+    if (errors.length) {
+      return sendValidationError(res, errors);
     }
 
-    const generationTime = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`Image generated successfully in ${generationTime}s`);
+    const thumbnail = await getThumbnail(req.params.id);
+    if (!thumbnail) {
+      return sendError(res, 404, 'THUMBNAIL_NOT_FOUND', 'Thumbnail not found');
+    }
+    if (!canModifyThumbnail(req.user, thumbnail)) {
+      return sendError(res, 403, 'FORBIDDEN', 'Only the owner or an admin can edit this thumbnail');
+    }
 
-    res.json({ 
-      imageUrl: imageUrls[0],
-      predictionId: prediction.id,
-      imageUrls: imageUrls,
-      metadata: {
-        engine: engineType,
-        aspectRatio: input.aspect_ratio,
-        prompt: cleanPrompt,
-        width: input.width,
-        height: input.height,
-        generationTime: `${generationTime}s`,
-        settings: {
-          steps: input.num_inference_steps || input.steps || 30,
-          guidance: input.guidance_scale || input.guidance || 7.5
-        }
-      }
-    });
+    const updated = await updateThumbnailMetadata(thumbnail.id, changes);
+    res.json(thumbnailResponse(req, updated));
   } catch (error) {
-    console.error('Server error:', error);
-    return res.status(500).json({ 
-      error: 'Internal server error',
-      details: error.message
-    });
+    console.error('Error updating thumbnail:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to update thumbnail', { details: error.message });
   }
 });
 
-app.post('/api/upload', upload.single('image'), async (req, res) => {
+// Move a thumbnail to its owner's trash
+app.delete('/api/thumbnails/:id', async (req, res) => {
   try {
-    if (!req.file) {
-      throw new Error('No file uploaded');
+    const thumbnail = await getThumbnail(req.params.id);
+    if (!thumbnail) {
+      return sendError(res, 404, 'THUMBNAIL_NOT_FOUND', 'Thumbnail not found');
+    }
+    if (!canModifyThumbnail(req.user, thumbnail)) {
+      return sendError(res, 403, 'FORBIDDEN', 'Only the owner or an admin can delete this thumbnail');
     }
 
-    console.log('File uploaded successfully:', {
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      mimetype: req.file.mimetype,
-      size: req.file.size
-    });
+    await trashThumbnail(thumbnail.id, req.user.id);
+    const trashed = await getThumbnail(thumbnail.id, { includeDeleted: true });
+    console.log(`Thumbnail ${thumbnail.id} moved to trash by ${req.user.id}`);
 
-    // Create local URL for the uploaded file
-    const host = req.get('host');
-    const protocol = req.protocol;
-    const localImageUrl = `${protocol}://${host}/uploads/${req.file.filename}`;
-    const localFilePath = path.join(UPLOADS_DIR, req.file.filename);
-    
-    console.log('Generated local image URL:', localImageUrl);
-    
-    // Store the file path for potential future upload to image hosting
-    res.json({ 
-      imagePath: localImageUrl,
-      localFilePath: req.file.filename, // Just store the filename, not the full path
-      filename: req.file.filename,
-      message: 'File uploaded successfully'
-    });
+    res.json({ message: 'Thumbnail moved to trash', expiresAt: trashExpiry(trashed.deletedAt) });
   } catch (error) {
-    console.error('Error uploading file:', error);
-    res.status(400).json({ 
-      error: 'Upload failed',
-      details: error.message 
-    });
+    console.error('Error deleting thumbnail:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to delete thumbnail');
   }
-});
+}); 
 
-// Delete file endpoint
-app.delete('/api/delete-file', async (req, res) => {
+// Mint a share link for a gallery image. Unlike the links in API responses
+// it isn't tied to a user, so it can be sent to anyone, and it lasts
+// `expiresInDays` days (default 7, at most 30).
+app.post('/api/thumbnails/:id/share-link', async (req, res) => {
   try {
-    const { filename } = req.body;
-    if (!filename) {
-      return res.status(400).json({ error: 'Filename is required' });
+    const { expiresInDays = SHARE_LINK_DEFAULT_DAYS } = req.body || {};
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > SHARE_LINK_MAX_DAYS) {
+      return sendValidationError(res, [{ field: 'expiresInDays', code: 'out_of_range', message: `expiresInDays must be a whole number from 1 to ${SHARE_LINK_MAX_DAYS}` }]);
     }
 
-    const filePath = path.join(UPLOADS_DIR, filename);
-    
-    // Security check: ensure file is within uploads directory
-    if (!filePath.startsWith(UPLOADS_DIR)) {
-      return res.status(400).json({ error: 'Invalid file path' });
+    const thumbnail = await getThumbnail(req.params.id);
+    if (!thumbnail) {
+      return sendError(res, 404, 'THUMBNAIL_NOT_FOUND', 'Thumbnail not found');
+    }
+    if (!canModifyThumbnail(req.user, thumbnail)) {
+      return sendError(res, 403, 'FORBIDDEN', 'Only the owner or an admin can share this thumbnail');
     }
 
-    try {
-      await fsPromises.access(filePath);
-    } catch {
-      return res.status(404).json({ error: 'File not found' });
+    const fileKey = thumbnailFileKey(thumbnail);
+    if (!fileKey) {
+      return sendError(res, 404, 'IMAGE_NOT_FOUND', 'This thumbnail has no stored image');
     }
 
-    await fsPromises.unlink(filePath);
-    res.json({ message: 'File deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting file:', error);
-    res.status(500).json({ 
-      error: 'Delete failed',
-      details: error.message 
+    const expiresIn = expiresInDays * 24 * 60 * 60;
+    const options = { userId: null, expiresIn };
+    console.log(`Share link for thumbnail ${thumbnail.id} created by ${req.user.id}, valid for ${expiresInDays} days`);
+    res.status(201).json({
+      url: signedUrl(req, storedFilePath(fileKey), options),
+      imageUrl: signedUrl(req, thumbnailImagePath(thumbnail.id), options),
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
     });
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to create share link', { details: error.message });
   }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Global error handler:', err);
-  
-  if (err instanceof multer.MulterError) {
-    if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        error: 'File size too large. Maximum size is 5MB.'
-      });
+// Limits for collections (boards of gallery entries)
+const COLLECTION_NAME_MAX_LENGTH = 255;
+const COLLECTION_DESCRIPTION_MAX_LENGTH = 2000;
+const MAX_COLLECTION_ITEMS = 1000;
+const MAX_COLLECTION_ITEMS_PER_REQUEST = 100;
+const MAX_COLLECTION_SHARES = 50;
+// Shared users can either look at a board or also add, remove and reorder entries
+const COLLECTION_PERMISSIONS = ['view', 'edit'];
+
+// What a user may do with a collection: 'owner', 'edit', 'view' or null.
+// Admins have the same access as the owner.
+function collectionAccess(user, collection) {
+  if (!user) return null;
+  if (collection.userId === user.id || isAdmin(user)) return 'owner';
+  const share = collection.shares.find(entry => entry.userId === user.id);
+  return share ? share.permission : null;
+}
+
+// Load the collection in req.params.id and check the user has at least the
+// given access. Sends the error response and returns null otherwise.
+async function findCollectionForUser(req, res, required) {
+  const collection = await getCollection(req.params.id);
+  if (!collection) {
+    sendError(res, 404, 'COLLECTION_NOT_FOUND', 'Collection not found');
+    return null;
+  }
+
+  const access = collectionAccess(req.user, collection);
+  const levels = ['view', 'edit', 'owner'];
+  if (!access || levels.indexOf(access) < levels.indexOf(required)) {
+    const message = {
+      view: 'This collection has not been shared with you',
+      edit: 'You can only view this collection',
+      owner: 'Only the owner or an admin can change this collection'
+    }[required];
+    sendError(res, 403, 'FORBIDDEN', message);
+    return null;
+  }
+  return { ...collection, access };
+}
+
+// Validate a collection's name and description. With `requireName` (when
+// creating) the name must be present. Returns the changes and any field errors.
+function validateCollectionFields(body, { requireName = false } = {}) {
+  const changes = {};
+  const errors = [];
+
+  if (body.name !== undefined || requireName) {
+    const name = typeof body.name === 'string' ? body.name.trim() : body.name;
+    if (name === undefined || name === null || name === '') {
+      errors.push({ field: 'name', code: 'required', message: 'name is required' });
+    } else if (typeof name !== 'string') {
+      errors.push({ field: 'name', code: 'invalid_type', message: 'name must be a string' });
+    } else if (name.length > COLLECTION_NAME_MAX_LENGTH) {
+      errors.push({ field: 'name', code: 'too_long', message: `name must be at most ${COLLECTION_NAME_MAX_LENGTH} characters` });
+    } else {
+      changes.name = name;
     }
-    return res.status(400).json({
-      error: 'File upload error',
-      details: err.message
-    });
   }
 
-  res.status(500).json({
-    error: 'Internal server error',
-    details: err.message
-  });
-});
+  if (body.description !== undefined) {
+    if (body.description === null || body.description === '') {
+      changes.description = null;
+    } else if (typeof body.description !== 'string') {
+      errors.push({ field: 'description', code: 'invalid_type', message: 'description must be a string' });
+    } else if (body.description.trim().length > COLLECTION_DESCRIPTION_MAX_LENGTH) {
+      errors.push({ field: 'description', code: 'too_long', message: `description must be at most ${COLLECTION_DESCRIPTION_MAX_LENGTH} characters` });
+    } else {
+      changes.description = body.description.trim() || null;
+    }
+  }
 
-// Add prediction results storage with concurrency support
-const predictionResults = new Map();
-const predictionLocks = new Map();
+  return { changes, errors };
+}
 
-// Helper function to safely update prediction results
-async function updatePredictionResult(id, updateFn) {
-  if (!predictionLocks.has(id)) {
-    predictionLocks.set(id, new Promise(resolve => resolve()));
+// Validate a list of gallery entry IDs in a request body. Returns the IDs
+// (deduplicated, in the order given) or a field error.
+function validateThumbnailIds(value, field = 'thumbnailIds') {
+  if (!Array.isArray(value) || !value.length || value.some(id => typeof id !== 'string' || !id)) {
+    return { error: { field, code: 'invalid_type', message: `${field} must be a non-empty list of thumbnail IDs` } };
   }
-  
-  const lock = predictionLocks.get(id);
-  await lock;
-  
-  const newLock = new Promise(async (resolve) => {
-    try {
-      const currentResult = predictionResults.get(id) || { status: 'processing' };
-      const updatedResult = await updateFn(currentResult);
-      predictionResults.set(id, updatedResult);
-    } finally {
-      resolve();
+  return { ids: [...new Set(value)] };
+}
+
+// Validate the users a collection is shared with. Each entry is
+// { userId, permission } with permission 'view' (the default) or 'edit'.
+function validateCollectionShares(value, ownerId) {
+  if (!Array.isArray(value)) {
+    return { errors: [{ field: 'shares', code: 'invalid_type', message: 'shares must be a list' }] };
+  }
+  if (value.length > MAX_COLLECTION_SHARES) {
+    return { errors: [{ field: 'shares', code: 'out_of_range', message: `a collection can be shared with at most ${MAX_COLLECTION_SHARES} users` }] };
+  }
+
+  const shares = new Map();
+  const errors = [];
+  value.forEach((entry, index) => {
+    const field = `shares[${index}]`;
+    const userId = entry && typeof entry.userId === 'string' ? entry.userId.trim() : '';
+    const permission = (entry && entry.permission) || 'view';
+    if (!userId || userId.length > 255) {
+      errors.push({ field: `${field}.userId`, code: 'invalid_type', message: 'userId must be a user ID' });
+    } else if (userId === ownerId) {
+      errors.push({ field: `${field}.userId`, code: 'invalid_share', message: 'A collection cannot be shared with its owner' });
+    } else if (!COLLECTION_PERMISSIONS.includes(permission)) {
+      errors.push({ field: `${field}.permission`, code: 'invalid_enum', message: `permission must be one of: ${COLLECTION_PERMISSIONS.join(', ')}` });
+    } else {
+      shares.set(userId, { userId, permission });
     }
   });
-  
-  predictionLocks.set(id, newLock);
-  await newLock;
-}
 
-// Add new route for Škoda Illustration
-app.post('/api/generate-skoda-illustration', async (req, res) => {
-  try {
-    console.log('Received Škoda Illustration generation request');
-    const { prompt, settings } = req.body;
+  return { shares: [...shares.values()], errors };
+}
 
-    // Get user info from request headers
-    const userInfo = {
-      id: req.headers['x-user-id'] || 'anonymous',
-      email: req.headers['x-user-email'] || 'anonymous',
-      name: req.headers['x-user-name'] || 'Anonymous User'
-    };
+// A collection as returned by the API, with signed image URLs. `fields`
+// are added to it; `items` are gallery entries.
+function collectionResponse(req, collection, fields = {}) {
+  const response = { ...collection, coverUrl: signStoredFileUrl(req, collection.coverUrl), ...fields };
+  if (fields.items) {
+    response.items = fields.items.map(item => thumbnailResponse(req, item));
+  }
+  return response;
+}
 
-    // Clean and prepare the prompt
-    const cleanedPrompt = `${prompt}, high quality, detailed`;
-    console.log('Cleaned prompt:', cleanedPrompt);
-
-    // Get the server URL from Upsun environment variables
-    const serverUrl = process.env.PLATFORM_ROUTES ? 
-      // Extract the first URL from PLATFORM_ROUTES (primary domain)
-      Object.keys(JSON.parse(process.env.PLATFORM_ROUTES))[0] :
-      null;
-
-    // Prepare base model input
-    const modelInput = {
-      prompt: cleanedPrompt,
-      start_step: 4,
-      num_outputs: 1,
-      negative_prompt: settings?.negative_prompt || 'bad quality, worst quality, signature, text',
-      aspect_ratio: settings?.aspect_ratio || '1:1',
-      prompt_guidance: settings?.guidance_scale || 7.5,
-      skoda_strength: 1,
-      character_name: '',
-      extra_lora_scale: settings?.extra_lora_scale || 0.5,
-      lora_scale: settings?.lora_scale || 1.0,
-      output_quality: settings?.output_quality || 80
-    };
+// List the collections the user owns or that are shared with them
+app.get('/api/collections', async (req, res) => {
+  try {
+    const collections = await listCollections(req.user.id);
+    res.json({
+      items: collections.map(collection => collectionResponse(req, collection, { access: collectionAccess(req.user, collection) }))
+    });
+  } catch (error) {
+    console.error('Error listing collections:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to list collections');
+  }
+});
 
-    // Add webhook URL only when deployed on Upsun
-    if (serverUrl) {
-      console.log('Adding webhook URL:', `${serverUrl}/api/replicate-webhook`);
-      modelInput.webhook = `${serverUrl}/api/replicate-webhook`;
+// Create a collection owned by the current user
+app.post('/api/collections', requireRole('creator'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { changes, errors } = validateCollectionFields(body, { requireName: true });
+    const shares = body.shares === undefined ? { shares: [], errors: [] } : validateCollectionShares(body.shares, req.user.id);
+    if (errors.length || shares.errors.length) {
+      return sendValidationError(res, [...errors, ...shares.errors]);
     }
 
-    // Process image if provided
-    if (settings?.image) {
-      let imageUri;
-      if (settings.image.startsWith('data:image/')) {
-        imageUri = settings.image;
-      } else {
-        const mimeType = 'image/jpeg';
-        imageUri = `data:${mimeType};base64,${settings.image.replace(/^data:image\/\w+;base64,/, '')}`;
-      }
-      if (imageUri) {
-        modelInput.image = imageUri;
-      }
+    let collection = await createCollection({ id: crypto.randomUUID(), ...changes, userId: req.user.id });
+    if (shares.shares.length) {
+      collection = await setCollectionShares(collection.id, shares.shares);
     }
 
-    // Create prediction
-    const prediction = await replicate.predictions.create({
-      version: "f6e6805f4d32f8522f9af09f3efdbeeafc199621f9b15e3ade4ac9cef01c2af8",
-      input: modelInput,
-      ...(serverUrl && { webhook: modelInput.webhook }) // Add webhook only if serverUrl exists
-    });
-
-    console.log('Prediction created with ID:', prediction.id);
-
-    // Store initial state with user info
-    await updatePredictionResult(prediction.id, () => ({
-      status: 'processing',
-      startTime: Date.now(),
-      userInfo: userInfo
-    }));
+    console.log(`Collection ${collection.id} created by ${req.user.id}`);
+    res.status(201).json(collectionResponse(req, collection, { access: 'owner', items: [] }));
+  } catch (error) {
+    console.error('Error creating collection:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to create collection', { details: error.message });
+  }
+});
 
-    // Return immediately with prediction ID
-    res.json({
-      predictionId: prediction.id,
-      status: 'processing',
-      message: 'Image generation started'
-    });
+// A collection with its entries in board order
+app.get('/api/collections/:id', async (req, res) => {
+  try {
+    const collection = await findCollectionForUser(req, res, 'view');
+    if (!collection) return;
 
+    const items = await getCollectionItems(collection.id);
+    res.json(collectionResponse(req, collection, { items }));
   } catch (error) {
-    console.error('Error generating Škoda illustration:', error);
-    res.status(500).json({
-      error: 'Failed to generate image',
-      details: error.message
-    });
+    console.error('Error reading collection:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch collection');
   }
 });
 
-// Add endpoint for clients to check prediction status
-app.get('/api/prediction/:id', async (req, res) => {
+// Rename a collection or change its description
+app.patch('/api/collections/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Get result from our storage
-    let result = predictionResults.get(id);
-    
-    if (!result) {
-      return res.status(404).json({ error: 'Prediction not found' });
-      }
-
-    // If still processing, check with Replicate directly
-    if (result.status === 'processing') {
-      const prediction = await replicate.predictions.get(id);
-      
-      if (prediction.status === 'succeeded') {
-        await updatePredictionResult(id, () => ({
-          status: 'completed',
-          imageUrl: prediction.output[0],
-          completedTime: Date.now()
-        }));
-      } else if (prediction.status === 'failed') {
-        await updatePredictionResult(id, () => ({
-          status: 'failed',
-          error: prediction.error || 'Image generation failed',
-          completedTime: Date.now()
-        }));
-      }
-      
-      // Get updated result
-      result = predictionResults.get(id);
+    const body = req.body || {};
+    const editable = ['name', 'description'];
+    const { changes, errors } = validateCollectionFields(body);
+    Object.keys(body)
+      .filter(field => !editable.includes(field))
+      .forEach(field => errors.push({ field, code: 'not_editable', message: `${field} cannot be changed here` }));
+    if (!errors.length && !Object.keys(changes).length) {
+      errors.push({ field: null, code: 'required', message: `Provide at least one of: ${editable.join(', ')}` });
     }
-    
-    // Clean up old results (older than 1 hour)
-    const now = Date.now();
-    for (const [key, value] of predictionResults.entries()) {
-      if (value.completedTime && (now - value.completedTime) > 3600000) {
-        predictionResults.delete(key);
-        predictionLocks.delete(key);
-      }
+    if (errors.length) {
+      return sendValidationError(res, errors);
     }
-    
-    res.json({
-      predictionId: id,
-      ...result
-    });
+
+    const collection = await findCollectionForUser(req, res, 'owner');
+    if (!collection) return;
+
+    const updated = await updateCollection(collection.id, changes);
+    res.json(collectionResponse(req, updated, { access: collection.access }));
   } catch (error) {
-    console.error('Error fetching prediction:', error);
-    res.status(500).json({
-      error: 'Failed to fetch prediction',
-      details: error.message
-    });
+    console.error('Error updating collection:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to update collection', { details: error.message });
   }
 });
 
-// Add static route for serving thumbnail images
-app.use('/ThumbnailImages', express.static(THUMBNAIL_DIR));
+// Delete a collection. The gallery entries in it are kept.
+app.delete('/api/collections/:id', async (req, res) => {
+  try {
+    const collection = await findCollectionForUser(req, res, 'owner');
+    if (!collection) return;
+
+    await deleteCollection(collection.id);
+    console.log(`Collection ${collection.id} deleted by ${req.user.id}`);
+    res.json({ message: 'Collection deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to delete collection');
+  }
+});
 
-// Add helper functions for thumbnail management
-async function downloadAndSaveImage(imageUrl) {
+// Add gallery entries to the end of a collection. Users can add their own
+// entries; admins can add any.
+app.post('/api/collections/:id/items', async (req, res) => {
   try {
-    await ensureThumbnailDirectory();
-    
-    // If the URL is already a local path, verify it exists and return it
-    if (imageUrl.includes('ThumbnailImages')) {
-      const filename = imageUrl.split('/').pop();
-      const localPath = path.join(THUMBNAIL_DIR, filename);
-      try {
-        await fsPromises.access(localPath);
-        return imageUrl; // File exists, return the URL
-      } catch (error) {
-        console.log('Local file not found, will attempt to download again');
-        // Continue with download process
-      }
+    const { ids, error } = validateThumbnailIds((req.body || {}).thumbnailIds);
+    if (error) {
+      return sendValidationError(res, [error]);
+    }
+    if (ids.length > MAX_COLLECTION_ITEMS_PER_REQUEST) {
+      return sendValidationError(res, [{ field: 'thumbnailIds', code: 'out_of_range', message: `add at most ${MAX_COLLECTION_ITEMS_PER_REQUEST} thumbnails at a time` }]);
     }
 
-    let response;
-    let retryCount = 0;
-    const maxRetries = 3;
+    const collection = await findCollectionForUser(req, res, 'edit');
+    if (!collection) return;
 
-    while (retryCount < maxRetries) {
-      try {
-        response = await axios({
-          url: imageUrl,
-          responseType: 'arraybuffer',
-          timeout: 30000, // Increased timeout to 30 seconds
-          maxContentLength: 50 * 1024 * 1024, // 50MB max
-          validateStatus: false // Don't reject on any status code
-        });
+    const thumbnails = await Promise.all(ids.map(id => getThumbnail(id)));
+    const missing = ids.filter((id, index) => !thumbnails[index]);
+    if (missing.length) {
+      return sendError(res, 404, 'THUMBNAIL_NOT_FOUND', 'Thumbnail not found', { details: { thumbnailIds: missing } });
+    }
+    const notOwned = thumbnails.filter(thumbnail => !canModifyThumbnail(req.user, thumbnail)).map(thumbnail => thumbnail.id);
+    if (notOwned.length) {
+      return sendError(res, 403, 'FORBIDDEN', 'You can only add your own thumbnails to a collection', { details: { thumbnailIds: notOwned } });
+    }
+    if (collection.itemCount + ids.length > MAX_COLLECTION_ITEMS) {
+      return sendError(res, 409, 'COLLECTION_FULL', `A collection can hold at most ${MAX_COLLECTION_ITEMS} thumbnails`);
+    }
 
-        if (response.status === 200) {
-          break; // Successful download
-        }
-        
-        console.log(`Attempt ${retryCount + 1}: Status ${response.status}`);
-        retryCount++;
-        await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds before retry
+    const added = await addCollectionItems(collection.id, ids, req.user.id);
+    const updated = await getCollection(collection.id);
+    const items = await getCollectionItems(collection.id);
+    res.json(collectionResponse(req, updated, { access: collection.access, added, items }));
   } catch (error) {
-        console.error(`Download attempt ${retryCount + 1} failed:`, error.message);
-        
-        // Try alternative URL if available
-        if (imageUrl.includes('replicate.delivery')) {
-          const altUrl = imageUrl.replace('replicate.delivery', 'replicate.com');
-          try {
-            response = await axios({
-              url: altUrl,
-              responseType: 'arraybuffer',
-              timeout: 30000
-            });
-            if (response.status === 200) break;
-          } catch (altError) {
-            console.error('Alternative URL failed:', altError.message);
-          }
-        }
-        
-        retryCount++;
-        if (retryCount < maxRetries) {
-          await new Promise(resolve => setTimeout(resolve, 2000));
-        } else {
-          throw new Error('Max retries reached for download');
-        }
-      }
-    }
+    console.error('Error adding to collection:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to add thumbnails to collection', { details: error.message });
+  }
+});
 
-    if (!response || response.status !== 200) {
-      throw new Error(`Failed to download image after ${maxRetries} attempts`);
-    }
+// Take a gallery entry out of a collection. The entry itself is kept.
+app.delete('/api/collections/:id/items/:thumbnailId', async (req, res) => {
+  try {
+    const collection = await findCollectionForUser(req, res, 'edit');
+    if (!collection) return;
 
-    // Generate a unique filename using timestamp and random string
-    const timestamp = Date.now();
-    const randomString = Math.random().toString(36).substring(7);
-    const filename = `thumbnail_${timestamp}_${randomString}.png`;
-    const localPath = path.join(THUMBNAIL_DIR, filename);
-    
-    // Write file with verification
-    await fsPromises.writeFile(localPath, response.data);
-    
-    // Verify file was written correctly
-    try {
-      await fsPromises.access(localPath);
-      const stats = await fsPromises.stat(localPath);
-      if (stats.size === 0) {
-        throw new Error('File was created but is empty');
-      }
-      console.log(`File saved successfully: ${localPath} (${stats.size} bytes)`);
-    } catch (error) {
-      throw new Error(`File verification failed: ${error.message}`);
+    const removed = await removeCollectionItem(collection.id, req.params.thumbnailId);
+    if (!removed) {
+      return sendError(res, 404, 'COLLECTION_ITEM_NOT_FOUND', 'Thumbnail is not in this collection');
     }
-
-    // Return the local path with correct URL format
-    const localUrl = `http://localhost:5000/ThumbnailImages/${filename}`;
-    console.log('Local URL created:', localUrl);
-    
-    return localUrl;
+    res.json({ message: 'Thumbnail removed from collection' });
   } catch (error) {
-    console.error('Error in downloadAndSaveImage:', error);
-    throw error;
+    console.error('Error removing from collection:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to remove thumbnail from collection');
   }
-}
+});
 
-async function cleanupThumbnails() {
+// Reorder a collection. The body lists every entry's ID in the new order.
+app.put('/api/collections/:id/order', async (req, res) => {
   try {
-    console.log('Starting thumbnails cleanup...');
-    
-    // Read thumbnails file
-    let thumbnails = [];
-    try {
-      const data = await fsPromises.readFile(THUMBNAILS_FILE, 'utf8');
-      thumbnails = JSON.parse(data);
-    } catch (error) {
-      console.error('Error reading thumbnails file:', error);
-      return;
+    const { ids, error } = validateThumbnailIds((req.body || {}).thumbnailIds);
+    if (error) {
+      return sendValidationError(res, [error]);
+    }
+
+    const collection = await findCollectionForUser(req, res, 'edit');
+    if (!collection) return;
+
+    const reordered = await reorderCollectionItems(collection.id, ids);
+    if (!reordered) {
+      return sendError(res, 409, 'COLLECTION_ORDER_MISMATCH', 'thumbnailIds must list every thumbnail in the collection exactly once');
     }
 
-    const validThumbnails = [];
-    const processedUrls = new Set(); // Track processed URLs to avoid duplicates
+    const items = await getCollectionItems(collection.id);
+    res.json(collectionResponse(req, collection, { items }));
+  } catch (error) {
+    console.error('Error reordering collection:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to reorder collection', { details: error.message });
+  }
+});
+
+// Replace the list of users a collection is shared with
+app.put('/api/collections/:id/shares', async (req, res) => {
+  try {
+    const collection = await findCollectionForUser(req, res, 'owner');
+    if (!collection) return;
 
-    for (const thumbnail of thumbnails) {
-      // Skip if we've already processed this URL
-      if (processedUrls.has(thumbnail.url)) {
-        continue;
-      }
+    const { shares, errors } = validateCollectionShares((req.body || {}).shares, collection.userId);
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
 
-      let isValid = false;
-      let localUrl = thumbnail.url;
+    const updated = await setCollectionShares(collection.id, shares);
+    console.log(`Collection ${collection.id} shared with ${shares.length} users by ${req.user.id}`);
+    res.json(collectionResponse(req, updated, { access: collection.access }));
+  } catch (error) {
+    console.error('Error sharing collection:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to update collection shares', { details: error.message });
+  }
+});
 
-      if (thumbnail.url.includes('ThumbnailImages')) {
-        const filename = thumbnail.url.split('/').pop();
-        const localPath = path.join(THUMBNAIL_DIR, filename);
+// When a trash entry deleted at `deletedAt` is purged
+function trashExpiry(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
 
-        try {
-          await fsPromises.access(localPath);
-          const stats = await fsPromises.stat(localPath);
-          if (stats.size > 0) {
-            isValid = true;
-          } else {
-            console.log(`Empty file found: ${filename}, attempting to redownload`);
-          }
-        } catch (error) {
-          console.log(`Missing file: ${filename}, attempting to redownload`);
-        }
+// Permanently delete trash entries together with their files. Without
+// `userId` every user's trash is purged; without `deletedBefore` every entry
+// is. Entries whose file can't be removed stay for the next run.
+async function purgeTrash({ userId = null, deletedBefore = null } = {}) {
+  const purged = { thumbnails: 0, uploads: 0 };
 
-        if (!isValid && thumbnail.originalUrl) {
-          try {
-            localUrl = await downloadAndSaveImage(thumbnail.originalUrl);
-            isValid = true;
-          } catch (error) {
-            console.error('Failed to redownload:', error.message);
-          }
-        }
-      } else {
-        try {
-          localUrl = await downloadAndSaveImage(thumbnail.url);
-          isValid = true;
-        } catch (error) {
-          console.error('Failed to download non-local thumbnail:', error.message);
+  for (const thumbnail of await listTrashedThumbnails({ userId, deletedBefore })) {
+    try {
+      // Identical images share one file, which is kept while other entries
+      // (including ones in the trash) still use it
+      const fileKey = thumbnailFileKey(thumbnail);
+      if (!fileKey || !await isThumbnailFileInUse(path.basename(fileKey), thumbnail.id)) {
+        if (fileKey) {
+          await fileStorage.delete(fileKey);
         }
+        await removeDerivatives(fileStorage, THUMBNAILS_PREFIX, thumbnail.derivatives);
       }
+      purged.thumbnails += await deleteThumbnail(thumbnail.id);
+    } catch (error) {
+      console.error(`Failed to purge thumbnail ${thumbnail.id}:`, error.message);
+    }
+  }
 
-      if (isValid) {
-        validThumbnails.push({
-          ...thumbnail,
-          url: localUrl,
-          originalUrl: thumbnail.originalUrl || thumbnail.url
-        });
-        processedUrls.add(localUrl);
+  for (const file of await listTrashedFiles({ userId, deletedBefore })) {
+    try {
+      await fileStorage.delete(`${TRASH_PREFIX}${file.trashFilename}`);
+      // Owners are kept while the same bytes have been uploaded again
+      if (!await fileStorage.stat(`${UPLOADS_PREFIX}${file.filename}`)) {
+        await deleteUploadOwners(file.filename);
       }
+      purged.uploads += await deleteTrashedFile(file.id);
+    } catch (error) {
+      console.error(`Failed to purge upload ${file.filename}:`, error.message);
     }
-
-    // Save the updated thumbnails list
-    await fsPromises.writeFile(THUMBNAILS_FILE, JSON.stringify(validThumbnails, null, 2));
-    console.log(`Thumbnails cleanup completed. Valid thumbnails: ${validThumbnails.length}`);
-  } catch (error) {
-    console.error('Error during thumbnails cleanup:', error);
   }
+
+  return purged;
 }
 
-// Initialize thumbnails storage
-async function initializeThumbnailsStorage() {
+// Purge entries that have been in the trash longer than the retention window
+async function purgeExpiredTrash() {
   try {
-    await fsPromises.access(THUMBNAILS_FILE);
+    const deletedBefore = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const purged = await purgeTrash({ deletedBefore });
+    if (purged.thumbnails || purged.uploads) {
+      console.log(`Purged ${purged.thumbnails} thumbnails and ${purged.uploads} uploads from the trash`);
+    }
   } catch (error) {
-    // File doesn't exist, create it with empty array
-    await fsPromises.writeFile(THUMBNAILS_FILE, JSON.stringify([]));
+    console.error('Error purging trash:', error);
   }
 }
 
-// Get all thumbnails
-app.get('/api/thumbnails', async (req, res) => {
+setInterval(purgeExpiredTrash, CLEANUP_INTERVAL);
+
+// The current user's trash: deleted gallery entries and uploads, most
+// recently deleted first
+app.get('/api/trash', async (req, res) => {
   try {
-    const data = await fsPromises.readFile(THUMBNAILS_FILE, 'utf8');
-    const thumbnails = JSON.parse(data);
-    res.json(thumbnails);
+    const [thumbnails, files] = await Promise.all([
+      listTrashedThumbnails({ userId: req.user.id }),
+      listTrashedFiles({ userId: req.user.id })
+    ]);
+
+    const items = [
+      ...thumbnails.map(thumbnail => ({ type: 'thumbnail', ...thumbnailResponse(req, thumbnail), expiresAt: trashExpiry(thumbnail.deletedAt) })),
+      ...files.map(file => ({
+        type: 'upload',
+        id: file.id,
+        filename: file.filename,
+        size: file.size,
+        deletedAt: file.deletedAt,
+        expiresAt: trashExpiry(file.deletedAt)
+      }))
+    ].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+    res.json({ items, retentionDays: TRASH_RETENTION_DAYS });
   } catch (error) {
-    console.error('Error reading thumbnails:', error);
-    res.status(500).json({ error: 'Failed to fetch thumbnails' });
+    console.error('Error reading trash:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch trash');
   }
 });
 
-// Store a new thumbnail
-app.post('/api/thumbnails', async (req, res) => {
+// Take a gallery entry out of the trash
+app.post('/api/trash/thumbnails/:id/restore', async (req, res) => {
   try {
-    const thumbnail = req.body;
-    
-    if (!thumbnail.url || !thumbnail.prompt) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    const thumbnail = await getThumbnail(req.params.id, { includeDeleted: true });
+    if (!thumbnail || !thumbnail.deletedAt) {
+      return sendError(res, 404, 'TRASH_ITEM_NOT_FOUND', 'Thumbnail is not in the trash');
     }
-
-    if (!thumbnail.timestamp) {
-      thumbnail.timestamp = new Date().toISOString();
+    if (!canModifyThumbnail(req.user, thumbnail)) {
+      return sendError(res, 403, 'FORBIDDEN', 'Only the owner or an admin can restore this thumbnail');
     }
 
-    // Get user info from request headers
-    const userInfo = {
-      id: req.headers['x-user-id'] || 'anonymous',
-      email: req.headers['x-user-email'] || 'anonymous',
-      name: req.headers['x-user-name'] || 'Anonymous User'
-    };
-
-    // Log the received user info
-    console.log('Processing thumbnail with user info:', userInfo);
-
-    let localImageUrl;
-    let retryCount = 0;
-    const maxRetries = 3;
+    await restoreThumbnail(thumbnail.id);
+    console.log(`Thumbnail ${thumbnail.id} restored by ${req.user.id}`);
+    res.json(thumbnailResponse(req, await getThumbnail(thumbnail.id)));
+  } catch (error) {
+    console.error('Error restoring thumbnail:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to restore thumbnail', { details: error.message });
+  }
+});
 
-    while (retryCount < maxRetries) {
-      try {
-        localImageUrl = await downloadAndSaveImage(thumbnail.url);
-        
-        // Verify the saved image is accessible
-        const filename = localImageUrl.split('/').pop();
-        const localPath = path.join(THUMBNAIL_DIR, filename);
-        await fsPromises.access(localPath);
-        const stats = await fsPromises.stat(localPath);
-        
-        if (stats.size > 0) {
-          break; // File exists and has content
-        } else {
-          throw new Error('Saved file is empty');
-        }
-      } catch (error) {
-        console.error(`Attempt ${retryCount + 1} failed:`, error.message);
-        retryCount++;
-        
-        if (retryCount >= maxRetries) {
-          return res.status(500).json({ error: 'Failed to save image after multiple attempts' });
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, 2000)); // Wait before retry
-      }
+// Move a deleted upload back to the uploads directory
+app.post('/api/trash/uploads/:id/restore', async (req, res) => {
+  try {
+    const file = await getTrashedFile(req.params.id);
+    if (!file) {
+      return sendError(res, 404, 'TRASH_ITEM_NOT_FOUND', 'Upload is not in the trash');
     }
-
-    // Store both URLs in the thumbnail object
-    const updatedThumbnail = {
-      ...thumbnail,
-      originalUrl: thumbnail.url,
-      url: localImageUrl,
-      localPath: localImageUrl.split('/').pop(), // Store filename for verification
-      userId: userInfo.id,
-      userName: userInfo.name,
-      userEmail: userInfo.email
-    };
-
-    // Read and update thumbnails file with verification
-    let thumbnails = [];
-    try {
-      const data = await fsPromises.readFile(THUMBNAILS_FILE, 'utf8');
-      thumbnails = JSON.parse(data);
-    } catch (error) {
-      console.warn('Could not read thumbnails file, starting fresh:', error.message);
+    if (file.userId !== req.user.id && !isAdmin(req.user)) {
+      return sendError(res, 403, 'FORBIDDEN', 'Only the user who deleted this upload or an admin can restore it');
     }
 
-    // Add new thumbnail at the beginning
-    thumbnails.unshift(updatedThumbnail);
+    const key = `${UPLOADS_PREFIX}${file.filename}`;
+    // Uploads named by their SHA-256 that were uploaded again since have
+    // the same bytes, so the trashed copy can simply be dropped
+    const exists = Boolean(await fileStorage.stat(key));
+    const sameContentUploaded = exists && CONTENT_ADDRESSED_FILENAME.test(file.filename);
+    if (exists && !sameContentUploaded) {
+      return sendError(res, 409, 'FILE_EXISTS', 'A file with the same name has been uploaded since');
+    }
 
-    // Save updated thumbnails with retry
-    let saveRetries = 0;
-    while (saveRetries < 3) {
+    // Claim the entry first so two restores can't both move the file
+    if (!await deleteTrashedFile(file.id)) {
+      return sendError(res, 404, 'TRASH_ITEM_NOT_FOUND', 'Upload is not in the trash');
+    }
+    const trashKey = `${TRASH_PREFIX}${file.trashFilename}`;
+    if (sameContentUploaded) {
+      await fileStorage.delete(trashKey);
+    } else {
+      // Moving writes a new copy, so restored uploads get a fresh hour before
+      // the uploads cleanup removes them
+      let moved;
       try {
-        await fsPromises.writeFile(THUMBNAILS_FILE, JSON.stringify(thumbnails, null, 2));
-        // Verify the file was written correctly
-        const verification = await fsPromises.readFile(THUMBNAILS_FILE, 'utf8');
-        JSON.parse(verification); // Make sure it's valid JSON
-        break;
+        moved = await moveFile(fileStorage, trashKey, key);
       } catch (error) {
-        console.error(`Failed to save thumbnails file, attempt ${saveRetries + 1}:`, error);
-        saveRetries++;
-        if (saveRetries >= 3) {
-          return res.status(500).json({ error: 'Failed to save thumbnail metadata' });
-        }
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        await saveTrashedFile(file);
+        throw error;
+      }
+      if (!moved) {
+        return sendError(res, 410, 'FILE_GONE', 'The file of this upload is no longer available');
       }
     }
 
-    // Log the successful image generation for billing
-    console.log('Logging successful generation with user info:', userInfo);
-    await logApiCall(
-      userInfo,
-      '/api/thumbnails',
-      'POST',
-      200,
-      { prompt: thumbnail.prompt, settings: thumbnail.settings },
-      { success: true, imageUrl: localImageUrl },
-      null
-    );
+    // The user who deleted the upload owns it again
+    await recordUploadOwner(file.filename, file.userId);
 
-    res.json(updatedThumbnail);
+    console.log(`Upload ${file.filename} restored by ${req.user.id}`);
+    res.json({
+      imagePath: signedUrl(req, storedFilePath(key)),
+      filename: file.filename,
+      message: 'File restored successfully'
+    });
   } catch (error) {
-    console.error('Error storing thumbnail:', error);
-    res.status(500).json({ error: 'Failed to store thumbnail' });
+    console.error('Error restoring upload:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to restore upload', { details: error.message });
   }
 });
 
-// Delete a thumbnail
-app.delete('/api/thumbnails/:id', async (req, res) => {
+// Permanently delete everything in the current user's trash. Admins can
+// empty another user's trash with ?userId=<id>, or everyone's with ?all=true.
+app.delete('/api/trash', async (req, res) => {
   try {
-    const thumbnailUrl = req.params.id;
-    
-    // Read existing thumbnails
-    const data = await fsPromises.readFile(THUMBNAILS_FILE, 'utf8');
-    const thumbnails = JSON.parse(data);
-
-    // Filter out the thumbnail to delete
-    const updatedThumbnails = thumbnails.filter(t => t.url !== thumbnailUrl);
-
-    // Save updated thumbnails
-    await fsPromises.writeFile(THUMBNAILS_FILE, JSON.stringify(updatedThumbnails, null, 2));
+    const all = req.query.all === 'true';
+    const userId = typeof req.query.userId === 'string' && req.query.userId ? req.query.userId : req.user.id;
+    if ((all || userId !== req.user.id) && !isAdmin(req.user)) {
+      return sendError(res, 403, 'FORBIDDEN', 'Only admins can empty other users\' trash');
+    }
 
-    res.json({ message: 'Thumbnail deleted successfully' });
+    const purged = await purgeTrash({ userId: all ? null : userId });
+    console.log(`Trash of ${all ? 'every user' : userId} emptied by ${req.user.id}:`, purged);
+    res.json({ message: 'Trash emptied', purged });
   } catch (error) {
-    console.error('Error deleting thumbnail:', error);
-    res.status(500).json({ error: 'Failed to delete thumbnail' });
+    console.error('Error emptying trash:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to empty trash', { details: error.message });
   }
-}); 
+});
 
-// Add endpoint to get user logs
+// API logs of the current user. Admins can read another user's logs with
+// ?userId=<id>, or every user's with ?all=true.
 app.get('/api/logs', async (req, res) => {
   try {
-    const logs = await getUserLogs(req.user?.id || 'anonymous');
+    const all = req.query.all === 'true';
+    const userId = typeof req.query.userId === 'string' && req.query.userId ? req.query.userId : req.user.id;
+    if ((all || userId !== req.user.id) && !isAdmin(req.user)) {
+      return sendError(res, 403, 'FORBIDDEN', 'Only admins can read other users\' logs');
+    }
+
+    const logs = await getUserLogs(all ? null : userId);
+
     res.json(logs);
   } catch (error) {
     console.error('Error getting logs:', error);
-    res.status(500).json({ error: 'Failed to get logs' });
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to get logs');
   }
 });
 
 // Webhook endpoint for Replicate callbacks
 app.post('/api/replicate-webhook', async (req, res) => {
   try {
+    // Anyone can reach this endpoint, so only trust callbacks signed by the provider
+    if (!provider.verifyWebhook({ headers: req.headers, rawBody: req.rawBody })) {
+      console.warn('Rejected webhook callback with a missing or invalid signature');
+      return sendError(res, 401, 'INVALID_WEBHOOK_SIGNATURE', 'Webhook signature is missing or invalid');
+    }
+
     const prediction = req.body;
     console.log('Received webhook callback for prediction:', prediction.id);
     console.log('Prediction status:', prediction.status);
 
-    if (prediction.status === 'succeeded') {
-      // Get the stored prediction result which contains user info
-      const storedResult = predictionResults.get(prediction.id);
-      if (!storedResult) {
-        console.warn('No stored result found for prediction:', prediction.id);
-        return res.sendStatus(200);
-      }
+    // Only predictions started here are tracked; acknowledge anything else
+    // so the provider doesn't retry it, but don't record it
+    const storedResult = await getPrediction(prediction.id);
+    if (!storedResult) {
+      console.warn('Ignoring webhook for untracked prediction:', prediction.id);
+      return res.sendStatus(200);
+    }
 
+    // Stream status, logs and progress to any SSE clients
+    reportProviderUpdate(prediction, storedResult.jobId);
+
+    if (prediction.status === 'succeeded') {
       // Update prediction result
-      await updatePredictionResult(prediction.id, () => ({
+      const outputUrls = outputUrlsForEngine(storedResult.engine, prediction.output);
+      await updatePredictionResult(prediction.id, (current) => ({
+        ...current,
         status: 'completed',
-        imageUrl: prediction.output[0],
-        completedTime: Date.now()
+        outputUrls,
+        recipe: recipeWithSeed(current.recipe, provider.extractSeed(prediction)),
+        completedAt: new Date()
       }));
 
       // Log successful image generation for billing
       const userInfo = storedResult.userInfo;
-      if (userInfo) {
+      if (userInfo && await shouldLogBilling(prediction.id)) {
         await logApiCall(
           userInfo,
           '/api/replicate-webhook',
           'POST',
           200,
           { predictionId: prediction.id },
-          { success: true, imageUrl: prediction.output[0] },
-          null
+          { success: true, imageUrl: outputUrls[0] },
+          null,
+          usageFor(storedResult.engine, outputUrls.length)
         );
       }
     } else if (prediction.status === 'failed') {
-      await updatePredictionResult(prediction.id, () => ({
+      await updatePredictionResult(prediction.id, (current) => ({
+        ...current,
         status: 'failed',
         error: prediction.error || 'Image generation failed',
-        completedTime: Date.now()
+        completedAt: new Date()
+      }));
+    } else if (prediction.status === 'canceled') {
+      await updatePredictionResult(prediction.id, (current) => ({
+        ...current,
+        status: 'cancelled',
+        error: 'Prediction was cancelled',
+        completedAt: current.completedAt || new Date()
       }));
     }
 
     res.sendStatus(200);
   } catch (error) {
     console.error('Error handling webhook:', error);
-    res.sendStatus(500);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to handle webhook', { details: error.message });
   }
 });
 
 // Add this endpoint before the app.listen() call
-app.post('/api/upscale', upload.single('image'), async (req, res) => {
+app.post('/api/upscale', requireRole('creator'), limitRoute('/api/upscale'), upload.single('image'), async (req, res) => {
   console.log('Received upscale request');
   try {
+    const upscaleModel = getModel('upscale');
+    const { input: upscaleInput, errors } = validateModelInput(upscaleModel, [req.body]);
     if (!req.file) {
-      throw new Error('No file uploaded');
+      errors.unshift({ field: 'image', code: 'required', message: 'image is required' });
     }
-
-    // Get scale factor (2x, 4x, or 6x)
-    const scale = req.body.scale || '2';
-    if (!['2', '4', '6'].includes(scale)) {
-      throw new Error('Invalid scale factor. Must be 2, 4, or 6');
+    if (errors.length) {
+      return sendValidationError(res, errors);
     }
 
-    // Get the local file path
-    const localFilePath = path.join(UPLOADS_DIR, req.file.filename);
-    console.log(`Processing file for upscaling: ${localFilePath}`);
+    // Scale factor (2x, 4x, or 6x)
+    const { scale } = upscaleInput;
 
-    // Get user info from request headers
-    const userInfo = {
-      id: req.headers['x-user-id'] || 'anonymous',
-      email: req.headers['x-user-email'] || 'anonymous',
-      name: req.headers['x-user-name'] || 'Anonymous User'
-    };
+    // Get the uploaded file's storage key
+    const { filename, originalname, key: uploadKey } = req.file;
+    console.log(`Processing file for upscaling: ${uploadKey}`);
 
-    // Convert image to data URI
-    const fileBuffer = await fsPromises.readFile(localFilePath);
-    const dataUri = `data:image/jpeg;base64,${fileBuffer.toString('base64')}`;
-    console.log('Image converted to data URI');
+    // The verified user the request comes from
+    const userInfo = req.user;
 
-    // Call Real-ESRGAN model via Replicate API
-    console.log(`Creating upscale prediction with scale factor: ${scale}x`);
-    const prediction = await replicate.predictions.create({
-      version: "42fed1c4974146d4d2414e2be2c5277c7fcf05fcc3a73abf41610695738c1d7b",
-      input: {
-        image: dataUri,
-        scale: parseInt(scale),
-        face_enhance: true
-      }
-    });
+    const quota = await checkQuota(req, res, upscaleModel);
+    if (!quota) return;
 
-    // Poll for the result
-    let result = prediction;
-    let attempts = 0;
-    const maxAttempts = 300; // Poll for up to 5 minutes
-
-    while (result.status !== 'succeeded' && result.status !== 'failed' && attempts < maxAttempts) {
-      console.log(`Polling attempt ${attempts + 1}/${maxAttempts}. Status: ${result.status}`);
-      
-      // Wait 1 second between polls
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Get updated prediction status
+    const job = enqueueJob('upscale', userInfo, async (job) => {
       try {
-        result = await replicate.predictions.get(prediction.id);
-      } catch (pollingError) {
-        console.error('Error during polling:', pollingError.message);
-        if (attempts < maxAttempts - 1) continue;
-        throw pollingError;
-      }
-      
-      attempts++;
-    }
+        // Convert image to data URI
+        const fileBuffer = await fileStorage.get(uploadKey);
+        if (!fileBuffer) {
+          throw new Error('Uploaded file is no longer available');
+        }
+        const dataUri = `data:image/jpeg;base64,${fileBuffer.toString('base64')}`;
+        console.log('Image converted to data URI');
+
+        // Call Real-ESRGAN model via Replicate API
+        console.log(`Creating upscale prediction with scale factor: ${scale}x`);
+        const prediction = await provider.createPrediction({
+          version: upscaleModel.version,
+          input: {
+            image: dataUri,
+            ...upscaleInput
+          }
+        });
+        job.predictionId = prediction.id;
+        await trackPrediction(prediction.id, job, 'upscale', '/api/upscale', { scale, filename });
+        reportProviderUpdate(prediction, job.id);
+
+        // Poll for the result (up to 5 minutes)
+        let { result, attempts, timedOut, cancelled } = await waitForPrediction(prediction, {
+          signal: job.signal,
+          onUpdate: update => reportProviderUpdate(update, job.id)
+        });
 
-    if (result.status === 'failed') {
-      throw new Error(`Upscaling failed: ${result.error || 'Unknown error'}`);
-    }
+        if (cancelled) {
+          await cancelPrediction(prediction.id);
+          throw new Error('Upscaling was cancelled');
+        }
 
-    if (attempts >= maxAttempts) {
-      throw new Error('Upscaling timed out');
-    }
+        if (result.status === 'failed') {
+          await finishPrediction(prediction.id, 'failed', { error: result.error || 'Unknown error' });
+          throw new Error(`Upscaling failed: ${result.error || 'Unknown error'}`);
+        }
 
-    // Log successful upscale for billing
-    await logApiCall(
-      userInfo,
-      '/api/upscale',
-      'POST',
-      200,
-      { scale, filename: req.file.filename },
-      { success: true, upscaledUrl: result.output },
-      null
-    );
+        if (timedOut) {
+          result = await stopTimedOutPrediction(prediction.id, 'Upscaling timed out');
+          if (!result) {
+            throw new Error('Upscaling timed out');
+          }
+        }
 
-    // Clean up the original uploaded file
-    try {
-      await fsPromises.unlink(localFilePath);
-      console.log('Cleaned up original file:', localFilePath);
-    } catch (cleanupError) {
-      console.warn('Failed to clean up original file:', cleanupError);
-    }
+        await finishPrediction(prediction.id, 'completed', { outputUrls: [].concat(result.output) });
+
+        // Log successful upscale for billing
+        if (await shouldLogBilling(prediction.id)) {
+          await logApiCall(
+            userInfo,
+            '/api/upscale',
+            'POST',
+            200,
+            { scale, filename },
+            { success: true, upscaledUrl: result.output },
+            null,
+            usageFor('upscale', 1)
+          );
+        }
 
-    res.json({
-      success: true,
-      predictionId: prediction.id,
-      upscaledUrl: result.output,
-      metadata: {
-        originalName: req.file.originalname,
-        scale: `${scale}x`,
-        processingTime: `${attempts}s`
+        // The original upload is left to the hourly uploads cleanup: files
+        // are named by content, so other uploads may share it
+        return {
+          success: true,
+          predictionId: prediction.id,
+          upscaledUrl: result.output,
+          metadata: {
+            originalName: originalname,
+            scale: `${scale}x`,
+            processingTime: `${attempts}s`
+          }
+        };
+      } catch (error) {
+        console.error('Upscale error:', error);
+
+        // Cancellations are logged by the cancel endpoint
+        if (job.signal.aborted) {
+          throw error;
+        }
+
+        // Log failed attempt
+        try {
+          await logApiCall(
+            userInfo,
+            '/api/upscale',
+            'POST',
+            500,
+            { scale },
+            null,
+            error.message
+          );
+        } catch (logError) {
+          console.error('Failed to log error:', logError);
+        }
+
+        throw error;
       }
     });
 
+    releaseWhenFinished(job.id, quota.release, takeSlots(req, job.id));
+
+    res.status(202).json(queuedJobResponse(job));
   } catch (error) {
     console.error('Upscale error:', error);
-    res.status(500).json({
-      error: 'Failed to upscale image',
-      details: error.message
-    });
+    sendError(res, 500, 'UPSCALE_FAILED', 'Failed to upscale image', { details: error.message });
 
     // Log failed attempt
     try {
@@ -1924,127 +3581,150 @@ app.post('/api/upscale', upload.single('image'), async (req, res) => {
 });
 
 // Add this endpoint before the app.listen() call
-app.post('/api/convert-to-svg', upload.single('image'), async (req, res) => {
+app.post('/api/convert-to-svg', requireRole('creator'), limitRoute('/api/convert-to-svg'), upload.single('image'), async (req, res) => {
+
   console.log('Received SVG conversion request');
   try {
+    const svgModel = getModel('svg');
+    const { input: svgInput, errors } = validateModelInput(svgModel, [req.body]);
     if (!req.file) {
-      throw new Error('No file uploaded');
+      errors.unshift({ field: 'image', code: 'required', message: 'image is required' });
+    }
+    if (errors.length) {
+      return sendValidationError(res, errors);
     }
 
-    // Get the local file path
-    const localFilePath = path.join(UPLOADS_DIR, req.file.filename);
-    console.log(`Processing file for SVG conversion: ${localFilePath}`);
-
-    // Get user info from request headers
-    const userInfo = {
-      id: req.headers['x-user-id'] || 'anonymous',
-      email: req.headers['x-user-email'] || 'anonymous',
-      name: req.headers['x-user-name'] || 'Anonymous User'
-    };
+    // Get the uploaded file's storage key
+    const { filename, originalname, key: uploadKey } = req.file;
+    console.log(`Processing file for SVG conversion: ${uploadKey}`);
 
-    // Convert image to data URI
-    const fileBuffer = await fsPromises.readFile(localFilePath);
-    const dataUri = `data:image/jpeg;base64,${fileBuffer.toString('base64')}`;
-    console.log('Image converted to data URI');
+    // The verified user the request comes from
+    const userInfo = req.user;
 
-    // Call image-to-svg model via Replicate API
-    console.log('Creating SVG conversion prediction');
-    const prediction = await replicate.predictions.create({
-      version: "30d4c9ce47172f8c2bd69ec384e12c95670abd8de3adfd3698e6b8eab2dcaa3e",
-      input: {
-        image: dataUri,
-        processing_res: req.body.processing_res || "1024",
-        vectorize_res: req.body.vectorize_res || "1024",
-        stroke_detail: req.body.stroke_detail || "basic",
-        stroke_width_base: parseFloat(req.body.stroke_width_base) || 1,
-        stroke_width_scaling: parseFloat(req.body.stroke_width_scaling) || 1.5,
-        stroke_endpoint_length: parseFloat(req.body.stroke_endpoint_length) || 1,
-        color_mode: req.body.color_mode || "color",
-        merge_paths: req.body.merge_paths !== 'false',
-        filter_speckle: parseInt(req.body.filter_speckle) || 4
-      }
-    });
+    const quota = await checkQuota(req, res, svgModel);
+    if (!quota) return;
 
-    // Poll for the result
-    let result = prediction;
-    let attempts = 0;
-    const maxAttempts = 300; // Poll for up to 5 minutes
-
-    while (result.status !== 'succeeded' && result.status !== 'failed' && attempts < maxAttempts) {
-      console.log(`Polling attempt ${attempts + 1}/${maxAttempts}. Status: ${result.status}`);
-      
-      // Wait 1 second between polls
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Get updated prediction status
+    const job = enqueueJob('convert-to-svg', userInfo, async (job) => {
       try {
-        result = await replicate.predictions.get(prediction.id);
-      } catch (pollingError) {
-        console.error('Error during polling:', pollingError.message);
-        if (attempts < maxAttempts - 1) continue;
-        throw pollingError;
-      }
-      
-      attempts++;
-    }
+        // Convert image to data URI
+        const fileBuffer = await fileStorage.get(uploadKey);
+        if (!fileBuffer) {
+          throw new Error('Uploaded file is no longer available');
+        }
+        const dataUri = `data:image/jpeg;base64,${fileBuffer.toString('base64')}`;
+        console.log('Image converted to data URI');
+
+        // Call image-to-svg model via Replicate API
+        console.log('Creating SVG conversion prediction');
+        const prediction = await provider.createPrediction({
+          version: svgModel.version,
+          input: {
+            image: dataUri,
+            ...svgInput
+          }
+        });
+        job.predictionId = prediction.id;
+        await trackPrediction(prediction.id, job, 'svg', '/api/convert-to-svg', { filename, ...svgInput });
+        reportProviderUpdate(prediction, job.id);
+
+        // Poll for the result (up to 5 minutes)
+        let { result, attempts, timedOut, cancelled } = await waitForPrediction(prediction, {
+          signal: job.signal,
+          onUpdate: update => reportProviderUpdate(update, job.id)
+        });
 
-    if (result.status === 'failed') {
-      throw new Error(`SVG conversion failed: ${result.error || 'Unknown error'}`);
-    }
+        if (cancelled) {
+          await cancelPrediction(prediction.id);
+          throw new Error('SVG conversion was cancelled');
+        }
 
-    if (attempts >= maxAttempts) {
-      throw new Error('SVG conversion timed out');
-    }
+        if (result.status === 'failed') {
+          await finishPrediction(prediction.id, 'failed', { error: result.error || 'Unknown error' });
+          throw new Error(`SVG conversion failed: ${result.error || 'Unknown error'}`);
+        }
 
-    // Log successful conversion for billing
-    await logApiCall(
-      userInfo,
-      '/api/convert-to-svg',
-      'POST',
-      200,
-      { 
-        filename: req.file.filename,
-        settings: {
-          processing_res: req.body.processing_res,
-          vectorize_res: req.body.vectorize_res,
-          stroke_detail: req.body.stroke_detail,
-          color_mode: req.body.color_mode
+        if (timedOut) {
+          result = await stopTimedOutPrediction(prediction.id, 'SVG conversion timed out');
+          if (!result) {
+            throw new Error('SVG conversion timed out');
+          }
         }
-      },
-      { success: true, svgUrl: result.output },
-      null
-    );
 
-    // Clean up the original uploaded file
-    try {
-      await fsPromises.unlink(localFilePath);
-      console.log('Cleaned up original file:', localFilePath);
-    } catch (cleanupError) {
-      console.warn('Failed to clean up original file:', cleanupError);
-    }
+        await finishPrediction(prediction.id, 'completed', { outputUrls: [].concat(result.output) });
+
+        // Log successful conversion for billing
+        if (await shouldLogBilling(prediction.id)) {
+          await logApiCall(
+            userInfo,
+            '/api/convert-to-svg',
+            'POST',
+            200,
+            {
+              filename,
+              settings: {
+                processing_res: req.body.processing_res,
+                vectorize_res: req.body.vectorize_res,
+                stroke_detail: req.body.stroke_detail,
+                color_mode: req.body.color_mode
+              }
+            },
+            { success: true, svgUrl: result.output },
+            null,
+            usageFor('svg', 1)
+          );
+        }
 
-    res.json({
-      success: true,
-      predictionId: prediction.id,
-      svgUrl: result.output,
-      metadata: {
-        originalName: req.file.originalname,
-        processingTime: `${attempts}s`,
-        settings: {
-          processing_res: req.body.processing_res || "1024",
-          vectorize_res: req.body.vectorize_res || "1024",
-          stroke_detail: req.body.stroke_detail || "basic",
-          color_mode: req.body.color_mode || "color"
+        // The original upload is left to the hourly uploads cleanup: files
+        // are named by content, so other uploads may share it
+        return {
+          success: true,
+          predictionId: prediction.id,
+          svgUrl: result.output,
+          metadata: {
+            originalName: originalname,
+            processingTime: `${attempts}s`,
+            settings: {
+              processing_res: svgInput.processing_res,
+              vectorize_res: svgInput.vectorize_res,
+              stroke_detail: svgInput.stroke_detail,
+              color_mode: svgInput.color_mode
+            }
+          }
+        };
+      } catch (error) {
+        console.error('SVG conversion error:', error);
+
+        // Cancellations are logged by the cancel endpoint
+        if (job.signal.aborted) {
+          throw error;
         }
+
+        // Log failed attempt
+        try {
+          await logApiCall(
+            userInfo,
+            '/api/convert-to-svg',
+            'POST',
+            500,
+            { filename },
+            null,
+            error.message
+          );
+        } catch (logError) {
+          console.error('Failed to log error:', logError);
+        }
+
+        throw error;
       }
     });
 
+    releaseWhenFinished(job.id, quota.release, takeSlots(req, job.id));
+
+    res.status(202).json(queuedJobResponse(job));
   } catch (error) {
     console.error('SVG conversion error:', error);
-    res.status(500).json({
-      error: 'Failed to convert to SVG',
-      details: error.message
-    });
+
+    sendError(res, 500, 'SVG_CONVERSION_FAILED', 'Failed to convert to SVG', { details: error.message });
 
     // Log failed attempt
     try {
@@ -2063,33 +3743,80 @@ app.post('/api/convert-to-svg', upload.single('image'), async (req, res) => {
   }
 });
 
+// Check the status of a queued generation, upscale or SVG conversion job
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = getJob(req.params.id);
+
+    // Other users' jobs are reported as missing, so IDs can't be probed
+    if (job) {
+      if (!canAccessPrediction(req.user, job.userInfo)) {
+        return sendError(res, 404, 'JOB_NOT_FOUND', 'Job not found');
+      }
+      return res.json(serializeJob(job));
+    }
+
+    // Jobs are kept in memory; after a restart fall back to the stored prediction
+    const prediction = await getPredictionByJobId(req.params.id);
+    if (!prediction || !canAccessPrediction(req.user, prediction.userInfo)) {
+      return sendError(res, 404, 'JOB_NOT_FOUND', 'Job not found');
+    }
+
+    res.json({
+      jobId: req.params.id,
+      status: prediction.status,
+      position: 0,
+      predictionId: prediction.id,
+      result: prediction.status === 'completed' ? predictionResponse(prediction) : null,
+      error: prediction.error || null
+    });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch job', { details: error.message });
+  }
+});
+
+// Error handling middleware, registered after every route so it covers them all
+app.use((err, req, res, next) => {
+  console.error('Global error handler:', err);
+  
+  if (err instanceof ApiError) {
+    return sendError(res, err.status, err.code, err.message, { details: err.details, fields: err.fields });
+  }
+
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return sendError(res, 400, 'FILE_TOO_LARGE', 'File size too large. Maximum size is 5MB.');
+    }
+    return sendError(res, 400, 'UPLOAD_ERROR', 'File upload error', { details: err.message });
+  }
+
+  // Malformed JSON bodies
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON', { details: err.message });
+  }
+
+  sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error', { details: err.message });
+});
+
 // Start server
 app.listen(PORT, '0.0.0.0', async () => {
   try {
     console.log(`Server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
     
-    // Initialize directories
-    await ensureThumbnailDirectory();
-    ensureUploadDirectory();
-    
+    // Finalize predictions orphaned by the previous process
+    await databaseReady;
+    await reconcilePredictions();
+
     // Run initial thumbnails cleanup
     await cleanupThumbnails();
+    await purgeExpiredTrash();
     
     // Validate API token and log models
     validateApiToken();
     
-    console.log(`Upload directory: ${UPLOADS_DIR}`);
-    console.log(`Thumbnail directory: ${THUMBNAIL_DIR}`);
-
-    // Initialize database
-    try {
-      await initializeDatabase();
-      console.log('Database initialized successfully');
-    } catch (dbError) {
-      console.error('Failed to initialize database:', dbError);
-      // Don't exit, let the application continue even if DB init fails
-    }
+    console.log(`Storage backend: ${fileStorage.name}`);
   } catch (error) {
     console.error('Error during server startup:', error);
     // Don't exit, let the application continue even if some initialization fails
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// HMAC-signed links to files served by this app. The signature covers the
+// path, the expiry time and the user the link was minted for, and is passed
+// as query parameters:
+//   /files/uploads/<name>?expires=<unix seconds>&user=<user id>&sig=<hmac>
+// Links minted without a user (share links) leave out `user` and open for
+// anyone. Links with a user only open for requests signed in as that user.
+
+function createUrlSigner({ secret, expiresIn }) {
+  if (!secret) {
+    throw new Error('A secret is required to sign URLs');
+  }
+
+  function signature(pathname, expires, userId) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${pathname}\n${expires}\n${userId || ''}`)
+      .digest('base64url');
+  }
+
+  // Query parameters that sign `pathname`. Without an explicit `expiresIn`
+  // the expiry is rounded up to a multiple of the default lifetime, so the
+  // same file gets the same URL for a while and browsers can cache it.
+  function sign(pathname, { userId = null, expiresIn: lifetime = null, now = Date.now() } = {}) {
+    const nowSeconds = Math.floor(now / 1000);
+    const expires = lifetime
+      ? nowSeconds + lifetime
+      : (Math.floor(nowSeconds / expiresIn) + 2) * expiresIn;
+
+    const query = { expires: String(expires) };
+    if (userId) {
+      query.user = userId;
+    }
+    query.sig = signature(pathname, expires, userId);
+    return query;
+  }
+
+  // Check the signature query parameters of a request for `pathname`.
+  // `userId` is the user making the request, if known. Returns
+  // { valid: true, userId, expiresAt } or { valid: false, reason } where
+  // reason is missing, invalid, expired, unauthenticated (a link issued to
+  // a user, requested without credentials) or wrong_user.
+  function verify(pathname, query, { userId = null, now = Date.now() } = {}) {
+    const { expires, user = null, sig } = query || {};
+    if (!sig || !expires) {
+      return { valid: false, reason: 'missing' };
+    }
+    if (typeof sig !== 'string' || typeof expires !== 'string' || (user !== null && typeof user !== 'string') || !/^\d+$/.test(expires)) {
+      return { valid: false, reason: 'invalid' };
+    }
+
+    const expected = Buffer.from(signature(pathname, expires, user));
+    const given = Buffer.from(sig);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return { valid: false, reason: 'invalid' };
+    }
+    if (Number(expires) * 1000 <= now) {
+      return { valid: false, reason: 'expired' };
+    }
+    if (user && user !== userId) {
+      return { valid: false, reason: userId ? 'wrong_user' : 'unauthenticated' };
+    }
+
+    return { valid: true, userId: user, expiresAt: new Date(Number(expires) * 1000) };
+  }
+
+  return {
+    sign,
+    verify
+  };
+}
+
+module.exports = {
+  createUrlSigner
+};
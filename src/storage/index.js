@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+// Every storage backend implements the same interface. Keys are paths with
+// "/" separators, such as uploads/123.png or thumbnails/thumbnail_1_abc.png.
+//   name
+//   put(key, body, { contentType }) -> { key, size }   (body is a Buffer)
+//   get(key) -> Buffer, or null if there is no such file
+//   stat(key) -> { size, modifiedAt }, or null if there is no such file
+//   delete(key) -> removes the file; missing files are ignored
+//   list(prefix) -> [{ key, size, modifiedAt }] for every file under prefix
+//   signedUrl(key, { expiresIn }) -> URL the file can be fetched from for
+//                                    expiresIn seconds
+// S3 returns presigned GETs. Local files are served by the app, so local
+// storage returns the app's HMAC-signed /files links (see src/signed-urls.js).
+const BACKENDS = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml'
+};
+
+// Create the backend named by STORAGE_BACKEND (default: local)
+function createStorage(name = process.env.STORAGE_BACKEND || 'local', options = {}) {
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Unknown storage backend "${name}". Available backends: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  console.log(`Using storage backend: ${name}`);
+  return factory(options[name] || {});
+}
+
+// Content type of a stored file, from its extension
+function contentTypeFor(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+// Copy a file to another key and delete the original. Returns false if
+// there was nothing to move.
+async function moveFile(storage, fromKey, toKey) {
+  const body = await storage.get(fromKey);
+  if (!body) return false;
+
+  await storage.put(toKey, body, { contentType: contentTypeFor(toKey) });
+  await storage.delete(fromKey);
+  return true;
+}
+
+// SHA-256 of a file's contents, in hex
+function contentHash(body) {
+  return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+// Extension for a content type, e.g. image/jpeg -> .jpg
+function extensionFor(contentType) {
+  const entry = Object.entries(CONTENT_TYPES).find(([, type]) => type === contentType);
+  return entry ? entry[0] : '';
+}
+
+// Store `body` under `prefix` named by its SHA-256, so identical files are
+// stored once. Files that already exist are left alone unless `refresh` is
+// set, which rewrites them to reset their modification time.
+// Returns { key, filename, contentHash, size, existed }.
+async function putContentAddressed(storage, prefix, body, { extension = '', contentType, refresh = false } = {}) {
+  const hash = contentHash(body);
+  const filename = `${hash}${extension}`;
+  const key = `${prefix}${filename}`;
+
+  const existed = Boolean(await storage.stat(key));
+  if (!existed || refresh) {
+    await storage.put(key, body, { contentType });
+  }
+  return { key, filename, contentHash: hash, size: body.length, existed };
+}
+
+// multer storage engine that writes uploads to `prefix` in a storage backend,
+// named by their content (see putContentAddressed). req.file gets filename,
+// key, size, contentHash and existed.
+function createMulterStorage(storage, prefix, options = {}) {
+  return {
+    _handleFile(req, file, cb) {
+      const chunks = [];
+      file.stream.on('data', chunk => chunks.push(chunk));
+      file.stream.on('error', cb);
+      file.stream.on('end', async () => {
+        try {
+          const extension = extensionFor(file.mimetype) || path.extname(file.originalname).toLowerCase();
+          const stored = await putContentAddressed(storage, prefix, Buffer.concat(chunks), {
+            ...options,
+            extension,
+            contentType: file.mimetype
+          });
+          cb(null, stored);
+        } catch (error) {
+          cb(error);
+        }
+      });
+    },
+
+    // Files that were already stored belong to earlier uploads too
+    _removeFile(req, file, cb) {
+      if (file.existed) return cb(null);
+      storage.delete(file.key).then(() => cb(null), cb);
+    }
+  };
+}
+
+module.exports = {
+  createStorage,
+  contentTypeFor,
+  moveFile,
+  contentHash,
+  putContentAddressed,
+  createMulterStorage
+};
@@ -0,0 +1,108 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+
+// Files on local disk, laid out by key under `root` (for example
+// uploads/123.png -> <root>/uploads/123.png). Local files are served by the
+// app itself, so signedUrl() returns the app's HMAC-signed link, made by the
+// `signUrl(key, options)` the app passes in (see src/signed-urls.js).
+function createLocalStorage({ root, signUrl }) {
+  const rootDir = path.resolve(root);
+
+  // Map a key to a path, refusing keys that would escape the root directory
+  function resolveKey(key) {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async function put(key, body) {
+    const filePath = resolveKey(key);
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, body);
+    return { key, size: body.length };
+  }
+
+  async function get(key) {
+    try {
+      return await fsPromises.readFile(resolveKey(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function stat(key) {
+    try {
+      const stats = await fsPromises.stat(resolveKey(key));
+      return stats.isFile() ? { size: stats.size, modifiedAt: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function remove(key) {
+    try {
+      await fsPromises.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async function list(prefix) {
+    const files = [];
+
+    async function walk(directory) {
+      let entries;
+      try {
+        entries = await fsPromises.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const filePath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          await walk(filePath);
+        } else if (entry.isFile()) {
+          const key = path.relative(rootDir, filePath).split(path.sep).join('/');
+          if (key.startsWith(prefix)) {
+            const stats = await fsPromises.stat(filePath);
+            files.push({ key, size: stats.size, modifiedAt: stats.mtime });
+          }
+        }
+      }
+    }
+
+    // Only walk the directory the prefix points into
+    const directory = prefix.includes('/') ? resolveKey(prefix.substring(0, prefix.lastIndexOf('/') + 1)) : rootDir;
+    await walk(directory);
+    return files;
+  }
+
+  async function signedUrl(key, options = {}) {
+    resolveKey(key);
+    if (!signUrl) {
+      throw new Error('Local storage needs a signUrl function to sign URLs');
+    }
+    return signUrl(key, options);
+  }
+
+  return {
+    name: 'local',
+    root: rootDir,
+    put,
+    get,
+    stat,
+    delete: remove,
+    list,
+    signedUrl
+  };
+}
+
+module.exports = {
+  createLocalStorage
+};
@@ -0,0 +1,126 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Signed URLs are valid for an hour unless the caller asks otherwise
+const DEFAULT_SIGNED_URL_EXPIRY = 60 * 60;
+
+function isNotFound(error) {
+  return error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+// Files in an S3-compatible bucket (AWS S3, MinIO, ...). Keys can be placed
+// under a common `prefix` so several environments can share one bucket.
+//
+// Configured from the environment by default:
+//   S3_BUCKET, S3_REGION, S3_ENDPOINT (for MinIO, e.g. http://localhost:9000),
+//   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE, S3_PREFIX
+function createS3Storage({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  // MinIO and most self-hosted services need path-style URLs
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : Boolean(endpoint),
+  prefix = process.env.S3_PREFIX || ''
+} = {}) {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage backend');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const objectKey = key => `${prefix}${key}`;
+
+  async function put(key, body, { contentType } = {}) {
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: objectKey(key),
+      Body: body,
+      ContentType: contentType
+    }));
+    return { key, size: body.length };
+  }
+
+  async function get(key) {
+    try {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async function stat(key) {
+    try {
+      const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return { size: response.ContentLength, modifiedAt: response.LastModified };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  // S3 deletes succeed for keys that don't exist, matching the interface
+  async function remove(key) {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+  }
+
+  async function list(listPrefix) {
+    const files = [];
+    let continuationToken;
+
+    do {
+      const response = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: objectKey(listPrefix),
+        ContinuationToken: continuationToken
+      }));
+      for (const object of response.Contents || []) {
+        files.push({
+          key: object.Key.substring(prefix.length),
+          size: object.Size,
+          modifiedAt: object.LastModified
+        });
+      }
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return files;
+  }
+
+  // Presigned GET for the object. Other options of the interface (such as
+  // the user a link is for) don't apply to S3 links.
+  async function signedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_EXPIRY } = {}) {
+    return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }), { expiresIn });
+  }
+
+  console.log(`S3 storage: bucket ${bucket}${endpoint ? ` at ${endpoint}` : ''}${prefix ? `, prefix ${prefix}` : ''}`);
+  return {
+    name: 's3',
+    put,
+    get,
+    stat,
+    delete: remove,
+    list,
+    signedUrl
+  };
+}
+
+module.exports = {
+  createS3Storage
+};
@@ -0,0 +1,84 @@
+// Test deleting an upload that two users uploaded. Identical uploads share
+// one file, so when one user deletes it the other user's copy must keep
+// working, and the file only moves to the trash once its last owner deletes it.
+//
+// Needs a running server started with AUTH_DISABLED=true (the test acts as
+// two users through plain x-user-* headers):
+//   node test-shared-upload-delete.js
+// Set BASE_URL when the server isn't on http://localhost:5000.
+const assert = require('assert');
+const crypto = require('crypto');
+const axios = require('axios');
+const sharp = require('sharp');
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:5000';
+
+function headersFor(userId) {
+  return { 'x-user-id': userId, 'x-user-role': 'creator' };
+}
+
+async function request(method, url, userId, data) {
+  return axios({
+    method,
+    url: url.startsWith('http') ? url : `${BASE_URL}${url}`,
+    headers: headersFor(userId),
+    data,
+    validateStatus: () => true
+  });
+}
+
+async function uploadImage(userId, image) {
+  const form = new FormData();
+  form.append('image', new Blob([image], { type: 'image/png' }), 'shared.png');
+  const response = await request('post', '/api/upload', userId, form);
+  assert.strictEqual(response.status, 200, `Upload by ${userId} failed: ${JSON.stringify(response.data)}`);
+  return response.data;
+}
+
+async function testSharedUploadDelete() {
+  // A random color so every run uploads new bytes
+  const [r, g, b] = crypto.randomBytes(3);
+  const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: { r, g, b } } }).png().toBuffer();
+  const alice = `test-alice-${Date.now()}`;
+  const bob = `test-bob-${Date.now()}`;
+
+  console.log('1. Both users upload the same image');
+  const aliceUpload = await uploadImage(alice, image);
+  const bobUpload = await uploadImage(bob, image);
+  assert.strictEqual(bobUpload.filename, aliceUpload.filename, 'Identical uploads should share a file');
+  assert.strictEqual(bobUpload.duplicate, true);
+
+  console.log('2. Alice deletes the upload: only her ownership is removed');
+  let response = await request('delete', '/api/delete-file', alice, { filename: aliceUpload.filename });
+  assert.strictEqual(response.status, 200, JSON.stringify(response.data));
+  assert.strictEqual(response.data.trashId, undefined, 'A file other users own should not move to the trash');
+
+  response = await request('get', bobUpload.imagePath, bob);
+  assert.strictEqual(response.status, 200, 'Bob\'s link should keep working');
+
+  response = await request('get', '/api/trash', alice);
+  assert.ok(!response.data.items.some(item => item.type === 'upload' && item.filename === aliceUpload.filename), 'Alice\'s trash should not hold the file');
+
+  response = await request('delete', '/api/delete-file', alice, { filename: aliceUpload.filename });
+  assert.strictEqual(response.status, 403, 'Alice no longer owns the file');
+
+  console.log('3. Bob deletes the upload: the file moves to his trash');
+  response = await request('delete', '/api/delete-file', bob, { filename: bobUpload.filename });
+  assert.strictEqual(response.status, 200, JSON.stringify(response.data));
+  assert.ok(response.data.trashId, 'The last owner\'s delete should move the file to the trash');
+
+  response = await request('get', bobUpload.imagePath, bob);
+  assert.strictEqual(response.status, 404, 'The file should be gone from uploads');
+
+  console.log('4. Bob empties his trash: the file is purged');
+  response = await request('delete', '/api/trash', bob);
+  assert.strictEqual(response.status, 200, JSON.stringify(response.data));
+  assert.strictEqual(response.data.purged.uploads, 1);
+
+  console.log('All shared upload delete tests passed');
+}
+
+testSharedUploadDelete().catch(error => {
+  console.error('Test failed:', error.message);
+  process.exit(1);
+});